@@ -0,0 +1,79 @@
+// --- Express app ---
+// Builds the API on top of a datastore (see lib/storage). server.js runs it
+// against the configured backend; an integration test can pass a local
+// datastore and its own LLM client, file storage, notifier, invitation
+// sender or rate limit store in `overrides`.
+//
+// Behind a load balancer or reverse proxy, set TRUST_PROXY so req.ip (used
+// for rate limits and the audit log) is the client's address rather than
+// the proxy's. It takes Express's "trust proxy" values: "true", the number
+// of proxies in front of the app (e.g. "1"), or a comma-separated list of
+// trusted addresses or subnets (e.g. "loopback, 10.0.0.0/8").
+
+const express = require('express');
+const cors = require('cors');
+const { createLlmClient } = require('./llm');
+const { createTokenBudget } = require('./llm/tokenBudget');
+const { createLlmCallMetrics } = require('./llm/callMetrics');
+const { requireStaffSession, requireIntakeSession } = require('./auth');
+const { createAuditLog } = require('./audit');
+const { createNotifier } = require('./notifications');
+const { createInvitationSender } = require('./invitations');
+const { createFileStorage } = require('./fileStorage');
+const { createRateLimiter } = require('./rateLimit');
+const { createReportRepository } = require('./repositories/reports');
+const { createIntakeLoginRepository } = require('./repositories/intakeLogins');
+const { createIntakeRoutes } = require('./routes/intake');
+const { createReportRoutes } = require('./routes/reports');
+const { createCredentialRoutes } = require('./routes/credentials');
+const { createStaffRoutes } = require('./routes/staff');
+const { createTenantRoutes } = require('./routes/tenant');
+const { createAdminRoutes } = require('./routes/admin');
+const { createMetricsRoutes } = require('./routes/metrics');
+
+const parseTrustProxy = (value) => {
+  if (value === undefined || value === '' || value === 'false') return false;
+  if (value === 'true') return true;
+  if (/^\d+$/.test(value)) return Number(value);
+  return value.split(',').map(entry => entry.trim()).filter(Boolean);
+};
+
+const createApp = (db, overrides = {}) => {
+  const deps = {
+    db,
+    llm: overrides.llm || createLlmClient(),
+    audit: overrides.audit || createAuditLog(db),
+    notifier: overrides.notifier || createNotifier(db),
+    invitations: overrides.invitations || createInvitationSender(db),
+    fileStorage: overrides.fileStorage || createFileStorage(),
+    tokenBudget: overrides.tokenBudget || createTokenBudget(db),
+    llmMetrics: createLlmCallMetrics(db),
+    rateLimit: createRateLimiter(overrides.rateLimitStore ? { store: overrides.rateLimitStore } : undefined),
+    requireStaff: requireStaffSession(db),
+    requireIntake: requireIntakeSession(db),
+    reports: createReportRepository(db),
+    intakeLogins: createIntakeLoginRepository(db)
+  };
+
+  const app = express();
+  app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+  app.use(cors());
+  app.use(express.json({limit: '10mb'}));
+  app.use('/api', deps.rateLimit('api'));
+
+  app.get('/', (req, res) => {
+    res.send('Backend is alive and running!');
+  });
+
+  app.use(createIntakeRoutes(deps));
+  app.use(createReportRoutes(deps));
+  app.use(createCredentialRoutes(deps));
+  app.use(createStaffRoutes(deps));
+  app.use(createTenantRoutes(deps));
+  app.use(createAdminRoutes(deps));
+  app.use(createMetricsRoutes(deps));
+
+  return { app, ...deps };
+};
+
+module.exports = { createApp };
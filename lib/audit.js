@@ -0,0 +1,209 @@
+// --- Audit log ---
+// Append-only record of who did what, in `audit_log`. Entries are numbered
+// and hash-chained: each entry's hash covers its own content and the hash of
+// the entry before it, so editing or removing any entry breaks every hash
+// after it.
+//
+// The server never updates or deletes audit entries. Firestore security
+// rules should deny client writes to both collections. Since entries can't
+// be changed or encrypted after the fact, `details` must never hold client
+// PII; callers record counts, ids or blind indexes instead.
+//
+// Every tenant has its own chain, so one firm's activity never serializes
+// behind another's and each firm can verify its log on its own. The chain
+// is named in each entry's `chain` field (the tenant id, or SYSTEM_CHAIN
+// for server actions outside any tenant) and `audit_log_meta/{chain}`
+// holds its head. Entry ids are the chain name and the sequence number.
+
+const crypto = require('crypto');
+const { admin } = require('./firebase');
+const { toCsv } = require('./csv');
+
+const GENESIS_HASH = '0'.repeat(64);
+// Not a valid tenant id (see tenants.js), so it can't collide with one.
+const SYSTEM_CHAIN = '_system';
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// JSON with sorted keys, so the same entry always hashes the same way.
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(key => value[key] !== undefined)
+      .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+const hashEntry = (entry, prevHash) => crypto.createHash('sha256')
+  .update(`${prevHash}\n${canonicalJson(entry)}`)
+  .digest('hex');
+
+// Sequence numbers are zero-padded in document ids, so a chain's ids sort
+// in order.
+const entryId = (chain, sequence) => `${chain}-${String(sequence).padStart(12, '0')}`;
+
+const chainOf = (tenantId) => tenantId || SYSTEM_CHAIN;
+
+const actorFromRequest = (req) => {
+  if (req.staff) return { type: 'staff', id: req.staff.sub, name: req.staff.name, role: req.staff.role };
+  if (req.intake) return { type: 'client', id: req.intake.caseId };
+  return { type: 'anonymous', id: null };
+};
+
+const createAuditLog = (db) => {
+  const append = async (entry) => {
+    const chain = chainOf(entry.tenantId);
+    const metaRef = db.collection('audit_log_meta').doc(chain);
+    await db.runTransaction(async (transaction) => {
+      const meta = await transaction.get(metaRef);
+      const { sequence = 0, lastHash = GENESIS_HASH } = meta.exists ? meta.data() : {};
+      const next = { ...entry, chain, sequence: sequence + 1, prevHash: lastHash };
+      const hash = hashEntry(next, lastHash);
+
+      transaction.set(db.collection('audit_log').doc(entryId(chain, next.sequence)), {
+        ...next,
+        hash,
+        createdAt: admin.firestore.Timestamp.fromMillis(next.timestampMs)
+      });
+      transaction.set(metaRef, { sequence: next.sequence, lastHash: hash });
+    });
+  };
+
+  // Recording must never break the action being recorded, so failures are
+  // logged rather than thrown.
+  const write = async (actor, action, { tenantId = null, caseId = null, reportId = null, ip = null, outcome = 'success', details = null } = {}) => {
+    try {
+      // Firestore rejects undefined values, so drop them from details.
+      const cleanDetails = details ? JSON.parse(JSON.stringify(details)) : null;
+      await append({ tenantId, action, actor, caseId, reportId, ip, outcome, details: cleanDetails, timestampMs: Date.now() });
+    } catch (error) {
+      console.error(`Failed to write audit entry for "${action}":`, error);
+    }
+  };
+
+  return {
+    // Usage: audit.record(req, 'report.view', { reportId }). The actor and
+    // tenant come from the request's session unless given in `fields`.
+    record: (req, action, { actor, ...fields } = {}) =>
+      write(actor || actorFromRequest(req), action, { ip: req.ip, tenantId: req.tenantId || null, ...fields }),
+
+    // For actions the server takes on its own, like the retention job.
+    recordSystem: (action, fields = {}) => write({ type: 'system', id: null }, action, fields)
+  };
+};
+
+const toAuditEntry = (doc) => {
+  const { createdAt, ...entry } = doc.data();
+  return { id: doc.id, ...entry, timestamp: new Date(entry.timestampMs).toISOString() };
+};
+
+// Validates the query string. Returns `{ error }` or `{ filters }`.
+const parseAuditFilters = (query) => {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.` };
+  }
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+    return { error: 'from and to must be valid dates.' };
+  }
+  return {
+    filters: {
+      limit,
+      cursor: query.cursor || null,
+      from,
+      to,
+      action: query.action || null,
+      actorId: query.actorId || null,
+      caseId: query.caseId || null,
+      reportId: query.reportId || null
+    }
+  };
+};
+
+// Newest first. Returns `{ entries, nextCursor }`.
+const queryAuditLog = async (db, filters) => {
+  let query = db.collection('audit_log').where('tenantId', '==', filters.tenantId);
+  if (filters.action) query = query.where('action', '==', filters.action);
+  if (filters.actorId) query = query.where('actor.id', '==', filters.actorId);
+  if (filters.caseId) query = query.where('caseId', '==', filters.caseId);
+  if (filters.reportId) query = query.where('reportId', '==', filters.reportId);
+  if (filters.from) query = query.where('createdAt', '>=', admin.firestore.Timestamp.fromDate(filters.from));
+  if (filters.to) query = query.where('createdAt', '<=', admin.firestore.Timestamp.fromDate(filters.to));
+  query = query.orderBy('createdAt', 'desc');
+
+  if (filters.cursor) {
+    const cursorDoc = await db.collection('audit_log').doc(filters.cursor).get();
+    if (!cursorDoc.exists) throw Object.assign(new Error('Invalid cursor.'), { status: 400 });
+    query = query.startAfter(cursorDoc);
+  }
+
+  const snapshot = await query.limit(filters.limit).get();
+  const entries = snapshot.docs.map(toAuditEntry);
+  const nextCursor = snapshot.size === filters.limit ? snapshot.docs[snapshot.size - 1].id : null;
+  return { entries, nextCursor };
+};
+
+// Walks a tenant's whole chain in order and recomputes every hash. Returns
+// the first broken entry, if any. A null tenant verifies SYSTEM_CHAIN.
+const verifyAuditChain = async (db, tenantId) => {
+  const chain = chainOf(tenantId);
+  const meta = await db.collection('audit_log_meta').doc(chain).get();
+  let prevHash = GENESIS_HASH;
+  let expectedSequence = 1;
+  let lastDoc = null;
+
+  for (;;) {
+    let query = db.collection('audit_log').where('chain', '==', chain).orderBy('sequence').limit(500);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+
+    for (const doc of snapshot.docs) {
+      const { hash, createdAt, ...entry } = doc.data();
+      if (entry.sequence !== expectedSequence) {
+        return { valid: false, checked: expectedSequence - 1, brokenAt: expectedSequence, reason: 'Missing entry.' };
+      }
+      if (entry.prevHash !== prevHash || hashEntry(entry, prevHash) !== hash) {
+        return { valid: false, checked: expectedSequence - 1, brokenAt: entry.sequence, reason: 'Hash mismatch.' };
+      }
+      prevHash = hash;
+      expectedSequence++;
+    }
+
+    if (snapshot.size < 500) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  const head = meta.exists ? meta.data() : { sequence: 0, lastHash: GENESIS_HASH };
+  if (head.sequence !== expectedSequence - 1 || head.lastHash !== prevHash) {
+    return { valid: false, checked: expectedSequence - 1, brokenAt: expectedSequence, reason: 'Chain head does not match the last entry.' };
+  }
+  return { valid: true, checked: expectedSequence - 1 };
+};
+
+const CSV_COLUMNS = ['sequence', 'timestamp', 'action', 'outcome', 'actorType', 'actorId', 'actorName', 'caseId', 'reportId', 'ip', 'details', 'hash'];
+
+const auditEntriesToCsv = (entries) => toCsv(CSV_COLUMNS, entries.map(entry => [
+  entry.sequence,
+  entry.timestamp,
+  entry.action,
+  entry.outcome,
+  entry.actor.type,
+  entry.actor.id,
+  entry.actor.name,
+  entry.caseId,
+  entry.reportId,
+  entry.ip,
+  entry.details ? JSON.stringify(entry.details) : '',
+  entry.hash
+]));
+
+module.exports = {
+  createAuditLog,
+  parseAuditFilters,
+  queryAuditLog,
+  verifyAuditChain,
+  auditEntriesToCsv
+};
@@ -0,0 +1,93 @@
+// --- Authentication middleware ---
+// Both middlewares also resolve the request's tenant and set `req.tenantId`
+// (see tenants.js); routes scope every read and write to it.
+
+const { signToken, verifyToken, getBearerToken } = require('./tokens');
+const { getCredentialStatus } = require('./intakeCredentials');
+const { tenantOf, getTenant } = require('./tenants');
+
+const STAFF_SESSION_TTL_MS = (Number(process.env.STAFF_SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const INTAKE_SESSION_TTL_MS = (Number(process.env.INTAKE_SESSION_TTL_MINUTES) || 120) * 60 * 1000;
+const STAFF_USER_CACHE_MS = 30 * 1000;
+
+const issueStaffToken = (userDoc) => {
+  const { email, name, role } = userDoc.data();
+  return signToken({ type: 'staff', sub: userDoc.id, email, name, role, tenantId: tenantOf(userDoc.data()) }, STAFF_SESSION_TTL_MS);
+};
+
+// Returns `requireStaff`. Usage: requireStaff('admin', 'attorney'); with no
+// roles, any signed-in staff member is allowed. Besides the token, the
+// user's account and tenant are checked on every request (cached for
+// STAFF_USER_CACHE_MS), so deactivating a user or tenant ends their
+// sessions and role changes apply without signing in again. Sets
+// `req.staff` to the token claims with the account's current name and role.
+const requireStaffSession = (db) => {
+  const users = new Map();
+
+  const loadUser = async (userId) => {
+    const cached = users.get(userId);
+    if (cached && cached.expiresAt > Date.now()) return cached.user;
+    const doc = await db.collection('staff_users').doc(userId).get();
+    const user = doc.exists ? doc.data() : null;
+    users.set(userId, { user, expiresAt: Date.now() + STAFF_USER_CACHE_MS });
+    return user;
+  };
+
+  return (...roles) => async (req, res, next) => {
+    try {
+      const claims = verifyToken(getBearerToken(req));
+      if (!claims || claims.type !== 'staff') {
+        return res.status(401).json({ success: false, error: 'Authentication required.' });
+      }
+
+      const tenantId = tenantOf(claims);
+      const user = await loadUser(claims.sub);
+      const tenant = user && user.active && tenantOf(user) === tenantId ? await getTenant(db, tenantId) : null;
+      if (!tenant || !tenant.active) {
+        return res.status(401).json({ success: false, error: 'Your session has ended. Please log in again.' });
+      }
+      if (roles.length && !roles.includes(user.role)) {
+        return res.status(403).json({ success: false, error: 'You do not have permission to do that.' });
+      }
+      req.staff = { ...claims, name: user.name, role: user.role, tenantId };
+      req.tenantId = tenantId;
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+};
+
+// Intake sessions never outlive the credential they were issued for.
+const issueIntakeToken = (caseId, loginData) => {
+  let ttlMs = INTAKE_SESSION_TTL_MS;
+  if (loginData.expiresAt) ttlMs = Math.min(ttlMs, loginData.expiresAt.toMillis() - Date.now());
+  return signToken({ type: 'intake', caseId }, ttlMs);
+};
+
+// Checks the intake session token and that its credential is still active,
+// so revoking or reissuing a credential ends sessions already handed out.
+// Sets `req.intake` to `{ caseId, login }`.
+const requireIntakeSession = (db) => async (req, res, next) => {
+  try {
+    const claims = verifyToken(getBearerToken(req));
+    if (!claims || claims.type !== 'intake') {
+      return res.status(401).json({ success: false, error: 'Your intake session has expired. Please log in again.' });
+    }
+
+    const loginDoc = await db.collection('intake_logins').doc(claims.caseId).get();
+    const login = loginDoc.exists ? loginDoc.data() : null;
+    const reissuedAt = login && login.reissuedAt ? login.reissuedAt.toMillis() : 0;
+    if (!login || getCredentialStatus(login) !== 'active' || claims.iat < reissuedAt) {
+      return res.status(401).json({ success: false, error: 'Your intake session has expired. Please log in again.' });
+    }
+
+    req.intake = { caseId: claims.caseId, login };
+    req.tenantId = tenantOf(login);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { issueStaffToken, requireStaffSession, issueIntakeToken, requireIntakeSession };
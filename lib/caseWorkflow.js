@@ -0,0 +1,124 @@
+// --- Case workflow ---
+// Status, attorney assignment, internal notes and soft deletion on
+// `case_reports`. Every change is recorded in the report's `history`
+// subcollection; notes also go to a `notes` subcollection so they can be
+// listed on their own. Note text is stored encrypted (see
+// fieldEncryption.js). Reports outside the staff member's tenant are
+// treated as missing.
+
+const { admin } = require('./firebase');
+const { belongsToTenant } = require('./tenants');
+const { encryptValue, decryptFields } = require('./fieldEncryption');
+
+const CASE_STATUSES = ['new', 'under_review', 'accepted', 'declined', 'conflict', 'referred'];
+const ASSIGNABLE_ROLES = ['attorney'];
+const MAX_NOTE_LENGTH = 10000;
+
+const toActor = (staff) => ({ id: staff.sub, name: staff.name, role: staff.role });
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+// Applies `{ status, assignedTo, note }` to a report. `assignedTo` is a staff
+// user id, or null to unassign. Returns the updated report data.
+const updateCase = async (db, reportId, { status, assignedTo, note }, staff) => {
+  if (status !== undefined && !CASE_STATUSES.includes(status)) {
+    throw httpError(400, `Status must be one of: ${CASE_STATUSES.join(', ')}.`);
+  }
+  if (note !== undefined && (typeof note !== 'string' || !note.trim() || note.length > MAX_NOTE_LENGTH)) {
+    throw httpError(400, 'Notes must be non-empty text.');
+  }
+  if (status === undefined && assignedTo === undefined && note === undefined) {
+    throw httpError(400, 'Nothing to update.');
+  }
+
+  const reportRef = db.collection('case_reports').doc(reportId);
+  const actor = toActor(staff);
+
+  return db.runTransaction(async (transaction) => {
+    const reportDoc = await transaction.get(reportRef);
+    if (!reportDoc.exists || !belongsToTenant(reportDoc.data(), staff.tenantId)) throw httpError(404, 'Report not found.');
+    const report = reportDoc.data();
+    if (report.deleted) throw httpError(409, 'Restore this report before changing it.');
+
+    let assignee = null;
+    if (assignedTo) {
+      const assigneeDoc = await transaction.get(db.collection('staff_users').doc(assignedTo));
+      const assigneeData = assigneeDoc.exists ? assigneeDoc.data() : null;
+      if (!assigneeData || !assigneeData.active || !ASSIGNABLE_ROLES.includes(assigneeData.role) || !belongsToTenant(assigneeData, staff.tenantId)) {
+        throw httpError(400, 'Cases can only be assigned to an active attorney.');
+      }
+      assignee = { id: assigneeDoc.id, name: assigneeDoc.data().name };
+    }
+
+    const updates = {};
+    const changes = {};
+    if (status !== undefined && status !== (report.status || 'new')) {
+      changes.status = { from: report.status || 'new', to: status };
+      updates.status = status;
+    }
+    if (assignedTo !== undefined && (assignedTo || null) !== (report.assignedTo || null)) {
+      changes.assignedTo = { from: report.assignedTo || null, to: assignee ? assignee.id : null };
+      updates.assignedTo = assignee ? assignee.id : null;
+      updates.assignedToName = assignee ? assignee.name : null;
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    if (note !== undefined) {
+      transaction.set(reportRef.collection('notes').doc(), { text: encryptValue(note.trim()), author: actor, createdAt: now });
+    }
+    if (!Object.keys(changes).length && note === undefined) return report;
+
+    if (Object.keys(updates).length) {
+      transaction.update(reportRef, { ...updates, updatedAt: now, updatedBy: actor.id });
+    }
+    transaction.set(reportRef.collection('history').doc(), {
+      changes,
+      note: note !== undefined ? encryptValue(note.trim()) : null,
+      actor,
+      createdAt: now
+    });
+    return { ...report, ...updates };
+  });
+};
+
+// Moves a report to the recycle bin (`deleted: true`) or back out of it.
+// Hard deletion only happens through the retention job.
+const setReportDeleted = async (db, reportId, deleted, staff) => {
+  const reportRef = db.collection('case_reports').doc(reportId);
+  const actor = toActor(staff);
+
+  await db.runTransaction(async (transaction) => {
+    const reportDoc = await transaction.get(reportRef);
+    if (!reportDoc.exists || !belongsToTenant(reportDoc.data(), staff.tenantId)) throw httpError(404, 'Report not found.');
+    if (Boolean(reportDoc.data().deleted) === deleted) {
+      throw httpError(409, deleted ? 'This report is already in the recycle bin.' : 'This report is not in the recycle bin.');
+    }
+
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.update(reportRef, deleted
+      ? { deleted: true, deletedAt: now, deletedBy: actor }
+      : { deleted: false, deletedAt: null, deletedBy: null, restoredAt: now, restoredBy: actor });
+    transaction.set(reportRef.collection('history').doc(), {
+      changes: { deleted: { from: !deleted, to: deleted } },
+      note: null,
+      actor,
+      createdAt: now
+    });
+  });
+};
+
+const deleteReport = (db, reportId, staff) => setReportDeleted(db, reportId, true, staff);
+const restoreReport = (db, reportId, staff) => setReportDeleted(db, reportId, false, staff);
+
+const listSubcollection = async (db, reportId, name, tenantId) => {
+  const reportRef = db.collection('case_reports').doc(reportId);
+  const reportDoc = await reportRef.get();
+  if (!reportDoc.exists || !belongsToTenant(reportDoc.data(), tenantId)) throw httpError(404, 'Report not found.');
+  const snapshot = await reportRef.collection(name).orderBy('createdAt', 'desc').get();
+  return snapshot.docs.map(doc => ({ id: doc.id, ...decryptFields(doc.data(), ['text', 'note']) }));
+};
+
+const listCaseHistory = (db, reportId, tenantId) => listSubcollection(db, reportId, 'history', tenantId);
+const listCaseNotes = (db, reportId, tenantId) => listSubcollection(db, reportId, 'notes', tenantId);
+
+module.exports = { CASE_STATUSES, updateCase, deleteReport, restoreReport, listCaseHistory, listCaseNotes };
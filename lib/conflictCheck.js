@@ -0,0 +1,133 @@
+// --- Conflict-of-interest checks ---
+// Every report stores the parties named in it as `parties`:
+//
+//   [{ name, normalized, type }]   type is 'client', 'opposing' or 'related'
+//
+// A new intake is checked by fuzzy-matching its parties against the parties
+// of every earlier report. Matches are stored on the new report as
+// `conflicts`; deciding whether they are real conflicts is left to staff.
+// Both fields are encrypted at rest, so the scan decrypts as it goes.
+
+const { decryptValue } = require('./fieldEncryption');
+
+const MATCH_THRESHOLD = Number(process.env.CONFLICT_MATCH_THRESHOLD) || 0.9;
+const SCAN_BATCH_SIZE = 500;
+
+const HONORIFICS = new Set(['mr', 'mrs', 'ms', 'miss', 'dr', 'prof', 'sir', 'jr', 'sr', 'ii', 'iii', 'esq']);
+const COMPANY_SUFFIXES = new Set(['inc', 'incorporated', 'llc', 'llp', 'lp', 'ltd', 'limited', 'corp', 'corporation', 'co', 'company', 'plc', 'pc', 'pllc']);
+
+const normalizePartyName = (name) => String(name || '')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/&/g, ' and ')
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .split(/\s+/)
+  .filter(word => word && !HONORIFICS.has(word) && !COMPANY_SUFFIXES.has(word))
+  .join(' ');
+
+// Jaro-Winkler similarity, 0 (nothing alike) to 1 (identical).
+const jaroWinkler = (a, b) => {
+  if (a === b) return 1;
+  if (!a.length || !b.length) return 0;
+
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const aMatched = new Array(a.length).fill(false);
+  const bMatched = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+      if (bMatched[j] || a[i] !== b[j]) continue;
+      aMatched[i] = bMatched[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (!matches) return 0;
+
+  let transpositions = 0;
+  for (let i = 0, j = 0; i < a.length; i++) {
+    if (!aMatched[i]) continue;
+    while (!bMatched[j]) j++;
+    if (a[i] !== b[j]) transpositions++;
+    j++;
+  }
+
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+};
+
+// Compares names as written and with their words sorted, so "Smith, John"
+// matches "John Smith".
+const nameSimilarity = (a, b) => {
+  const sortWords = (name) => name.split(' ').sort().join(' ');
+  return Math.max(jaroWinkler(a, b), jaroWinkler(sortWords(a), sortWords(b)));
+};
+
+const toParty = (name, type) => ({ name: String(name).trim(), normalized: normalizePartyName(name), type });
+
+// Works on both structured reports and older reports that only have a
+// client name.
+const extractParties = (report) => {
+  const parties = [];
+  const clientName = report.clientInfo ? report.clientInfo.name : report.clientName;
+  if (clientName) parties.push(toParty(clientName, 'client'));
+  (report.opposingParties || []).forEach(party => parties.push(toParty(party.name, 'opposing')));
+  (report.relatedEntities || []).forEach(party => parties.push(toParty(party.name, 'related')));
+
+  const seen = new Set();
+  return parties.filter((party) => {
+    const key = `${party.type}:${party.normalized}`;
+    if (!party.normalized || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Scans every stored report for parties resembling `parties`. Returns the
+// matches, best first.
+// Only the tenant's own reports are searched; other firms' clients are not
+// conflicts for this one.
+const findConflicts = async (db, parties, { tenantId, excludeReportId = null, threshold = MATCH_THRESHOLD }) => {
+  const matches = [];
+  let lastDoc = null;
+
+  for (;;) {
+    let query = db.collection('case_reports')
+      .where('tenantId', '==', tenantId)
+      .select('caseNumber', 'parties', 'createdAt')
+      .orderBy('__name__')
+      .limit(SCAN_BATCH_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+
+    for (const doc of snapshot.docs) {
+      if (doc.id === excludeReportId) continue;
+      const existingParties = decryptValue(doc.data().parties) || [];
+      for (const party of parties) {
+        for (const existing of existingParties) {
+          const score = nameSimilarity(party.normalized, existing.normalized);
+          if (score < threshold) continue;
+          matches.push({
+            reportId: doc.id,
+            caseNumber: doc.data().caseNumber || null,
+            partyName: party.name,
+            partyType: party.type,
+            matchedName: existing.name,
+            matchedType: existing.type,
+            score: Math.round(score * 1000) / 1000
+          });
+        }
+      }
+    }
+
+    if (snapshot.size < SCAN_BATCH_SIZE) break;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return matches.sort((a, b) => b.score - a.score);
+};
+
+module.exports = { normalizePartyName, nameSimilarity, extractParties, findConflicts };
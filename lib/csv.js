@@ -0,0 +1,17 @@
+// --- CSV export helpers ---
+
+// Quotes cells that need it and neutralizes values a spreadsheet would
+// treat as formulas.
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// `rows` are arrays in the same order as `columns`.
+const toCsv = (columns, rows) => [
+  columns.map(csvCell).join(','),
+  ...rows.map(row => row.map(csvCell).join(','))
+].join('\n');
+
+module.exports = { toCsv };
@@ -0,0 +1,60 @@
+// --- Intake drafts ---
+// Autosaved client-side state (form fields, a half-typed answer) kept in
+// `intake_drafts/{caseId}` so a client can close the tab and pick up where
+// they left off. The interview itself is already stored by the interview
+// engine; drafts hold whatever the client hasn't submitted yet.
+//
+// A draft carries its credential's `expiresAt` (moved forward when the
+// credential is reissued) and is only reachable with a live intake
+// session, so it expires with the credential. The retention
+// job deletes expired drafts. The draft data is stored encrypted (see
+// fieldEncryption.js).
+
+const { admin } = require('./firebase');
+const { encryptValue, decryptValue } = require('./fieldEncryption');
+
+const MAX_DRAFT_BYTES = 100 * 1024;
+
+const draftRef = (db, caseId) => db.collection('intake_drafts').doc(caseId);
+
+const getDraft = async (db, caseId) => {
+  const doc = await draftRef(db, caseId).get();
+  return doc.exists ? { ...doc.data(), data: decryptValue(doc.data().data) } : null;
+};
+
+const saveDraft = async (db, caseId, data, login) => {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw Object.assign(new Error('Draft data must be an object.'), { status: 400 });
+  }
+  if (Buffer.byteLength(JSON.stringify(data)) > MAX_DRAFT_BYTES) {
+    throw Object.assign(new Error('The draft is too large.'), { status: 413 });
+  }
+
+  const updatedAt = admin.firestore.Timestamp.now();
+  await draftRef(db, caseId).set({
+    data: encryptValue(data),
+    updatedAt,
+    expiresAt: login.expiresAt || null
+  });
+  return { updatedAt };
+};
+
+const deleteDraft = (db, caseId) => draftRef(db, caseId).delete();
+
+const deleteExpiredDrafts = async (db, now = Date.now()) => {
+  let deleted = 0;
+  for (;;) {
+    const snapshot = await db.collection('intake_drafts')
+      .where('expiresAt', '<', admin.firestore.Timestamp.fromMillis(now))
+      .limit(200)
+      .get();
+    if (snapshot.empty) return deleted;
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+    deleted += snapshot.size;
+  }
+};
+
+module.exports = { getDraft, saveDraft, deleteDraft, deleteExpiredDrafts };
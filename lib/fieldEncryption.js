@@ -0,0 +1,163 @@
+// --- Field-level encryption ---
+// Envelope encryption for client PII in `case_reports`, and in the other
+// documents that hold it (interviews, drafts, invitations, case notes,
+// notification payloads) through encryptFields(). Each value gets its
+// own random data key (AES-256-GCM); the data key is wrapped with a
+// server-held key-encryption key, also AES-256-GCM. Stored values look like
+//
+//   { $enc: 1, kid, wrappedKey, iv, tag, data }     (all base64 but kid)
+//
+// Keys are configured as
+//
+//   PII_ENCRYPTION_KEYS     "<kid>:<base64 32-byte key>,..." (all versions
+//                           still needed for decryption)
+//   PII_ENCRYPTION_KEY_ID   the kid used for new values
+//
+// To rotate, add a new key, point PII_ENCRYPTION_KEY_ID at it and run
+// `npm run encrypt-reports`, which re-encrypts values under older keys.
+//
+// Search tokens and the client email lookup are stored as blind indexes
+// (HMAC-SHA256 with SEARCH_INDEX_KEY) so they can still be matched exactly
+// without revealing the words. SEARCH_INDEX_KEY is required whenever
+// PII_ENCRYPTION_KEYS is set; it is kept separate so rotating encryption
+// keys doesn't invalidate the index.
+//
+// With no keys configured, values are stored in plaintext and a warning is
+// logged at startup; blind indexes then use a fixed development key, so
+// they still never hold the words themselves. Plaintext values always
+// decrypt to themselves, so reports written before encryption was enabled
+// keep working. `npm run encrypt-reports` rebuilds their search index.
+
+const crypto = require('crypto');
+
+const ENCRYPTED_REPORT_FIELDS = [
+  'clientName',
+  'clientEmail',
+  'clientPhone',
+  'reportContent',
+  'clientInfo',
+  'summary',
+  'qa',
+  'keyFacts',
+  'legalIssues',
+  'opposingParties',
+  'relatedEntities',
+  'parties',
+  'conflicts'
+];
+
+let cachedKeys = null;
+
+const loadKeys = () => {
+  if (cachedKeys) return cachedKeys;
+  const keys = new Map();
+  (process.env.PII_ENCRYPTION_KEYS || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach((entry) => {
+    const [kid, encoded] = entry.split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+    if (!kid || key.length !== 32) throw new Error(`PII_ENCRYPTION_KEYS entry "${kid}" must be "<kid>:<base64 32-byte key>".`);
+    keys.set(kid, key);
+  });
+
+  const activeKid = process.env.PII_ENCRYPTION_KEY_ID || (keys.size ? [...keys.keys()].pop() : null);
+  if (activeKid && !keys.has(activeKid)) throw new Error(`PII_ENCRYPTION_KEY_ID "${activeKid}" is not in PII_ENCRYPTION_KEYS.`);
+  if (keys.size && !process.env.SEARCH_INDEX_KEY) {
+    throw new Error('SEARCH_INDEX_KEY must be set when PII_ENCRYPTION_KEYS is; otherwise search indexes would reveal client PII.');
+  }
+
+  cachedKeys = { keys, activeKid };
+  return cachedKeys;
+};
+
+const encryptionEnabled = () => Boolean(loadKeys().activeKid);
+
+const gcmEncrypt = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), data };
+};
+
+const gcmDecrypt = (key, { iv, tag, data }) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(data), decipher.final()]);
+};
+
+const isEncrypted = (value) => Boolean(value && typeof value === 'object' && value.$enc === 1);
+
+const encryptValue = (value) => {
+  const { keys, activeKid } = loadKeys();
+  if (!activeKid || value === null || value === undefined || isEncrypted(value)) return value;
+
+  const dataKey = crypto.randomBytes(32);
+  const wrapped = gcmEncrypt(keys.get(activeKid), dataKey);
+  const sealed = gcmEncrypt(dataKey, Buffer.from(JSON.stringify(value), 'utf8'));
+  return {
+    $enc: 1,
+    kid: activeKid,
+    wrappedKey: Buffer.concat([wrapped.iv, wrapped.tag, wrapped.data]).toString('base64'),
+    iv: sealed.iv.toString('base64'),
+    tag: sealed.tag.toString('base64'),
+    data: sealed.data.toString('base64')
+  };
+};
+
+const decryptValue = (value) => {
+  if (!isEncrypted(value)) return value;
+  const key = loadKeys().keys.get(value.kid);
+  if (!key) throw new Error(`No decryption key configured for key version "${value.kid}".`);
+
+  const wrapped = Buffer.from(value.wrappedKey, 'base64');
+  const dataKey = gcmDecrypt(key, { iv: wrapped.subarray(0, 12), tag: wrapped.subarray(12, 28), data: wrapped.subarray(28) });
+  const plaintext = gcmDecrypt(dataKey, {
+    iv: Buffer.from(value.iv, 'base64'),
+    tag: Buffer.from(value.tag, 'base64'),
+    data: Buffer.from(value.data, 'base64')
+  });
+  return JSON.parse(plaintext.toString('utf8'));
+};
+
+// True for plaintext values (when encryption is on) and values sealed under
+// a key other than the active one.
+const needsEncryption = (value) => {
+  const { activeKid } = loadKeys();
+  if (!activeKid || value === null || value === undefined) return false;
+  return !isEncrypted(value) || value.kid !== activeKid;
+};
+
+const mapFields = (doc, fields, transform) => {
+  const result = { ...doc };
+  fields.forEach((field) => {
+    if (result[field] !== undefined) result[field] = transform(result[field]);
+  });
+  return result;
+};
+
+const encryptFields = (doc, fields) => mapFields(doc, fields, encryptValue);
+const decryptFields = (doc, fields) => mapFields(doc, fields, decryptValue);
+
+const encryptReportFields = (report) => encryptFields(report, ENCRYPTED_REPORT_FIELDS);
+const decryptReportFields = (report) => decryptFields(report, ENCRYPTED_REPORT_FIELDS);
+
+const DEVELOPMENT_INDEX_KEY = 'legal-intake-development-search-index';
+
+// Keyed hash for exact-match lookups on encrypted data. loadKeys() has
+// already refused to run with encryption on and no SEARCH_INDEX_KEY.
+const blindIndex = (value) => {
+  loadKeys();
+  const key = process.env.SEARCH_INDEX_KEY || DEVELOPMENT_INDEX_KEY;
+  return crypto.createHmac('sha256', key).update(String(value)).digest('hex').slice(0, 32);
+};
+
+module.exports = {
+  ENCRYPTED_REPORT_FIELDS,
+  encryptionEnabled,
+  encryptValue,
+  decryptValue,
+  needsEncryption,
+  encryptFields,
+  decryptFields,
+  encryptReportFields,
+  decryptReportFields,
+  blindIndex
+};
@@ -0,0 +1,27 @@
+// --- Firebase Storage (Google Cloud Storage) file storage ---
+// Uses the bucket lib/firebase.js configures for the app:
+// FIREBASE_STORAGE_BUCKET, or `<project_id>.appspot.com` when it is unset.
+
+const { admin } = require('../firebase');
+
+const createFirebaseFileStorage = ({ bucketName } = {}) => {
+  const bucket = admin.storage().bucket(bucketName);
+
+  return {
+    name: 'firebase',
+
+    async save(key, buffer, { contentType }) {
+      await bucket.file(key).save(buffer, { contentType, resumable: false });
+    },
+
+    createReadStream(key) {
+      return bucket.file(key).createReadStream();
+    },
+
+    async delete(key) {
+      await bucket.file(key).delete({ ignoreNotFound: true });
+    }
+  };
+};
+
+module.exports = { createFirebaseFileStorage };
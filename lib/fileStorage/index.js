@@ -0,0 +1,27 @@
+// --- File storage ---
+// Where uploaded documents are kept, chosen with FILE_STORAGE: 'local' or
+// 'firebase'. Unset, it follows STORAGE_BACKEND, so a Firestore deployment
+// keeps files in Firebase Storage rather than on one instance's disk; see
+// lib/firebase.js for choosing the bucket with FIREBASE_STORAGE_BUCKET.
+// Every backend implements:
+//
+//   save(key, buffer, { contentType })
+//   createReadStream(key)
+//   delete(key)            no error if the file is already gone
+
+const { createLocalFileStorage } = require('./local');
+const { createFirebaseFileStorage } = require('./firebase');
+
+const BACKENDS = {
+  local: createLocalFileStorage,
+  firebase: createFirebaseFileStorage
+};
+
+const defaultBackend = () => ((process.env.STORAGE_BACKEND || 'firestore') === 'firestore' ? 'firebase' : 'local');
+
+const createFileStorage = (backend = process.env.FILE_STORAGE || defaultBackend()) => {
+  if (!BACKENDS[backend]) throw new Error(`Unknown file storage backend "${backend}".`);
+  return BACKENDS[backend]();
+};
+
+module.exports = { createFileStorage };
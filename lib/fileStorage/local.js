@@ -0,0 +1,33 @@
+// --- Local disk file storage ---
+// For development. Files live under UPLOAD_DIR (default ./uploads).
+
+const fs = require('fs');
+const path = require('path');
+
+const createLocalFileStorage = ({ root = process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads') } = {}) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(path.resolve(root) + path.sep)) throw new Error(`Invalid storage key "${key}".`);
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async delete(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+module.exports = { createLocalFileStorage };
@@ -0,0 +1,32 @@
+// --- Firebase Admin SDK setup ---
+// Shared by the server and the maintenance scripts so they all load the
+// service account the same way.
+//
+// Uploads go to FIREBASE_STORAGE_BUCKET, or to the project's default
+// bucket, `<project_id>.appspot.com`, when it is unset.
+
+const fs = require('fs');
+const admin = require('firebase-admin');
+
+const RENDER_SECRET_PATH = '/etc/secrets/serviceAccountKey.json';
+const LOCAL_SECRET_PATH = '../serviceAccountKey.json';
+
+const initializeFirebase = () => {
+  if (admin.apps.length) return admin.firestore();
+
+  let serviceAccount;
+  if (fs.existsSync(RENDER_SECRET_PATH)) {
+    serviceAccount = require(RENDER_SECRET_PATH);
+  } else {
+    serviceAccount = require(LOCAL_SECRET_PATH);
+  }
+
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET || `${serviceAccount.project_id}.appspot.com`
+  });
+
+  return admin.firestore();
+};
+
+module.exports = { admin, initializeFirebase };
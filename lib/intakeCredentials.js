@@ -0,0 +1,194 @@
+// --- Intake credentials ---
+// One `intake_logins/{caseId}` document per client invitation. The stored
+// `status` is one of active/used/revoked/locked; "expired" is derived from
+// `expiresAt` so nothing has to sweep the collection to expire credentials.
+// Each credential belongs to the tenant of the staff member who created it,
+// and pins the intake template version its interview will follow.
+//
+// An invitation's client contact (name, email, phone) is stored encrypted
+// in `invitation.contact` (see invitations.js).
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { admin } = require('./firebase');
+const { belongsToTenant } = require('./tenants');
+const { decryptValue } = require('./fieldEncryption');
+
+const SALT_ROUNDS = 10;
+const DEFAULT_TTL_HOURS = Number(process.env.INTAKE_CREDENTIAL_TTL_HOURS) || 72;
+const MAX_TTL_HOURS = 30 * 24;
+const MAX_FAILED_ATTEMPTS = Number(process.env.INTAKE_MAX_FAILED_ATTEMPTS) || 5;
+
+const CREDENTIAL_STATUSES = ['active', 'used', 'expired', 'locked', 'revoked'];
+
+const generateCaseId = (now = new Date()) => {
+  const datePart = now.toISOString().slice(0, 10).replace(/-/g, "");
+  const randomPart = crypto.randomBytes(3).toString('hex').toUpperCase().slice(0, 4);
+  return `CI-${datePart}-${randomPart}`;
+};
+
+const generatePasscode = () => crypto.randomBytes(4).toString('hex').toUpperCase().slice(0, 8);
+
+// Accepts an optional per-credential TTL from the request body and falls
+// back to the server default. Returns null for values we won't accept.
+const resolveTtlHours = (ttlHours) => {
+  if (ttlHours === undefined || ttlHours === null || ttlHours === '') return DEFAULT_TTL_HOURS;
+  const hours = Number(ttlHours);
+  if (!Number.isFinite(hours) || hours <= 0 || hours > MAX_TTL_HOURS) return null;
+  return hours;
+};
+
+const expiryFromNow = (ttlHours) => admin.firestore.Timestamp.fromMillis(Date.now() + ttlHours * 60 * 60 * 1000);
+
+// The status staff and clients actually see.
+const getCredentialStatus = (loginData, now = Date.now()) => {
+  if (loginData.status === 'active' && loginData.expiresAt && loginData.expiresAt.toMillis() <= now) {
+    return 'expired';
+  }
+  return loginData.status;
+};
+
+// `{ clientName, email, phone }`; invitations sent before contacts were
+// encrypted kept them as plain fields.
+const invitationContact = (invitation) => (invitation.contact
+  ? decryptValue(invitation.contact)
+  : { clientName: invitation.clientName, email: invitation.email, phone: invitation.phone });
+
+const toCredentialSummary = (doc) => {
+  const data = doc.data();
+  return {
+    caseId: doc.id,
+    status: getCredentialStatus(data),
+    createdAt: data.createdAt || null,
+    createdBy: data.createdBy || null,
+    expiresAt: data.expiresAt || null,
+    failedAttempts: data.failedAttempts || 0,
+    usedAt: data.usedAt || null,
+    revokedAt: data.revokedAt || null,
+    lockedAt: data.lockedAt || null,
+    template: data.template || null,
+    invitation: data.invitation ? {
+      channel: data.invitation.channel,
+      clientName: invitationContact(data.invitation).clientName,
+      status: data.invitation.status,
+      lastSentAt: data.invitation.lastSentAt,
+      sendCount: data.invitationSendCount || 0
+    } : null
+  };
+};
+
+// Creates a credential under a fresh caseId, retrying on the (unlikely)
+// collision so an existing credential is never overwritten.
+const createCredential = async (db, { tenantId, ttlHours, createdBy, template }) => {
+  const passcode = generatePasscode();
+  const hashedPasscode = await bcrypt.hash(passcode, SALT_ROUNDS);
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const caseId = generateCaseId();
+    const loginRef = db.collection('intake_logins').doc(caseId);
+    const expiresAt = expiryFromNow(ttlHours);
+    try {
+      await loginRef.create({
+        tenantId,
+        template,
+        hashedPasscode,
+        status: 'active',
+        failedAttempts: 0,
+        expiresAt,
+        createdBy: createdBy || null,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return { caseId, passcode, expiresAt };
+    } catch (error) {
+      // gRPC code 6 is ALREADY_EXISTS.
+      if (error.code !== 6) throw error;
+    }
+  }
+  throw new Error('Could not allocate a unique case ID.');
+};
+
+// Issues a new passcode for an existing credential and reactivates it. Used
+// credentials can't be reissued because their report has been submitted.
+const reissueCredential = async (db, caseId, { tenantId, ttlHours, reissuedBy }) => {
+  const passcode = generatePasscode();
+  const hashedPasscode = await bcrypt.hash(passcode, SALT_ROUNDS);
+  const loginRef = db.collection('intake_logins').doc(caseId);
+  const draftRef = db.collection('intake_drafts').doc(caseId);
+  const expiresAt = expiryFromNow(ttlHours);
+
+  await db.runTransaction(async (transaction) => {
+    const loginDoc = await transaction.get(loginRef);
+    const draftDoc = await transaction.get(draftRef);
+    if (!loginDoc.exists || !belongsToTenant(loginDoc.data(), tenantId)) {
+      throw Object.assign(new Error('Credential not found.'), { status: 404 });
+    }
+    if (loginDoc.data().status === 'used') {
+      throw Object.assign(new Error('This intake has already been submitted.'), { status: 409 });
+    }
+    transaction.update(loginRef, {
+      hashedPasscode,
+      status: 'active',
+      failedAttempts: 0,
+      expiresAt,
+      lockedAt: admin.firestore.FieldValue.delete(),
+      revokedAt: admin.firestore.FieldValue.delete(),
+      revokedBy: admin.firestore.FieldValue.delete(),
+      reissuedAt: admin.firestore.FieldValue.serverTimestamp(),
+      reissuedBy: reissuedBy || null
+    });
+    // The client's draft lives as long as the new credential.
+    if (draftDoc.exists) transaction.update(draftRef, { expiresAt });
+  });
+
+  return { caseId, passcode, expiresAt };
+};
+
+const revokeCredential = async (db, caseId, { tenantId, revokedBy }) => {
+  const loginRef = db.collection('intake_logins').doc(caseId);
+  await db.runTransaction(async (transaction) => {
+    const loginDoc = await transaction.get(loginRef);
+    if (!loginDoc.exists || !belongsToTenant(loginDoc.data(), tenantId)) {
+      throw Object.assign(new Error('Credential not found.'), { status: 404 });
+    }
+    if (loginDoc.data().status === 'used') {
+      throw Object.assign(new Error('This intake has already been submitted.'), { status: 409 });
+    }
+    transaction.update(loginRef, {
+      status: 'revoked',
+      revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+      revokedBy: revokedBy || null
+    });
+  });
+};
+
+// Counts a wrong passcode and locks the credential once the limit is hit.
+// Returns true if this attempt caused the lock.
+const recordFailedAttempt = async (db, caseId) => {
+  const loginRef = db.collection('intake_logins').doc(caseId);
+  return db.runTransaction(async (transaction) => {
+    const loginDoc = await transaction.get(loginRef);
+    if (!loginDoc.exists || loginDoc.data().status !== 'active') return false;
+
+    const failedAttempts = (loginDoc.data().failedAttempts || 0) + 1;
+    const updates = { failedAttempts, lastFailedAttemptAt: admin.firestore.FieldValue.serverTimestamp() };
+    const locked = failedAttempts >= MAX_FAILED_ATTEMPTS;
+    if (locked) {
+      updates.status = 'locked';
+      updates.lockedAt = admin.firestore.FieldValue.serverTimestamp();
+    }
+    transaction.update(loginRef, updates);
+    return locked;
+  });
+};
+
+module.exports = {
+  CREDENTIAL_STATUSES,
+  resolveTtlHours,
+  getCredentialStatus,
+  invitationContact,
+  toCredentialSummary,
+  createCredential,
+  reissueCredential,
+  revokeCredential,
+  recordFailedAttempt
+};
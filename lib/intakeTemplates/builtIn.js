@@ -0,0 +1,130 @@
+// --- Built-in intake templates ---
+// Read-only starting points available to every tenant. `general` is the
+// interview and memo the app used before templates existed, and is used
+// whenever a credential doesn't name a template.
+
+const STANDARD_SECTIONS = {
+  summary: { title: 'Case Summary', instructions: "Write a concise, one-paragraph summary of the client's situation based on their initial statement." },
+  statement: { title: "Client's Initial Statement", instructions: "Include the client's full, unedited initial statement." },
+  qa: { title: 'Intake Interview Q&A', instructions: 'Format the interview transcript into a clean, readable Q&A list.' },
+  facts: { title: 'Key Facts & Timeline', instructions: 'Extract and list the most critical facts, dates, and figures in a bulleted list.' },
+  issues: { title: 'Potential Legal Issues', instructions: 'Based on the entire report, identify a list of potential legal claims or areas of law that apply.' }
+};
+
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'general',
+    name: 'General intake',
+    practiceArea: 'general',
+    requiredFacts: [],
+    questionGuidance: '',
+    memoSections: [STANDARD_SECTIONS.summary, STANDARD_SECTIONS.statement, STANDARD_SECTIONS.qa, STANDARD_SECTIONS.facts, STANDARD_SECTIONS.issues]
+  },
+  {
+    id: 'personal-injury',
+    name: 'Personal injury',
+    practiceArea: 'personal-injury',
+    requiredFacts: [
+      { key: 'incident_date', label: 'Date of the incident', description: 'Needed to check the statute of limitations.' },
+      { key: 'incident_location', label: 'Where it happened' },
+      { key: 'how_it_happened', label: 'How the injury happened' },
+      { key: 'injuries', label: 'Injuries and current condition' },
+      { key: 'medical_treatment', label: 'Medical treatment received and providers seen' },
+      { key: 'at_fault_party', label: 'Who the client believes is at fault' },
+      { key: 'insurance', label: 'Insurance involved (client and other side) and any claim numbers' },
+      { key: 'lost_income', label: 'Time missed from work and lost income' },
+      { key: 'evidence', label: 'Photos, police or incident reports, and witnesses' }
+    ],
+    questionGuidance: 'Ask whether the client has already spoken to an insurance adjuster or signed anything, and whether they have a lawyer. Be gentle when asking about injuries.',
+    memoSections: [
+      STANDARD_SECTIONS.summary,
+      STANDARD_SECTIONS.qa,
+      { title: 'Incident Details', instructions: 'Describe when, where and how the incident happened, and who was involved.' },
+      { title: 'Injuries & Treatment', instructions: 'List the injuries, treatment received so far and the providers involved.' },
+      { title: 'Insurance & Damages', instructions: 'Summarize insurance coverage, claim numbers, lost income and other losses.' },
+      STANDARD_SECTIONS.facts,
+      STANDARD_SECTIONS.issues
+    ]
+  },
+  {
+    id: 'employment',
+    name: 'Employment',
+    practiceArea: 'employment',
+    requiredFacts: [
+      { key: 'employer', label: "Employer name and the client's job title" },
+      { key: 'employment_dates', label: 'Start date and, if applicable, end date' },
+      { key: 'employment_status', label: 'Whether the client is still employed, was fired, or resigned' },
+      { key: 'adverse_action', label: 'What the employer did and when' },
+      { key: 'reason_given', label: 'The reason the employer gave' },
+      { key: 'protected_activity', label: 'Any complaints, leave, or protected characteristics the client believes are involved' },
+      { key: 'pay', label: 'Pay rate, and any unpaid wages or overtime' },
+      { key: 'agency_filings', label: 'Any EEOC, state agency or internal HR complaints already filed' },
+      { key: 'documents', label: 'Offer letters, contracts, reviews, termination letters or messages' }
+    ],
+    questionGuidance: 'Ask whether the client has signed a severance or arbitration agreement. Agency filing deadlines can be short, so pin down dates.',
+    memoSections: [
+      STANDARD_SECTIONS.summary,
+      STANDARD_SECTIONS.qa,
+      { title: 'Employment History', instructions: 'Summarize the employer, role, dates, pay and current employment status.' },
+      { title: 'Adverse Actions', instructions: 'List what the employer did, when, and the reasons given.' },
+      { title: 'Filings & Deadlines', instructions: 'List any agency or internal complaints and any deadlines that may apply.' },
+      STANDARD_SECTIONS.facts,
+      STANDARD_SECTIONS.issues
+    ]
+  },
+  {
+    id: 'family',
+    name: 'Family law',
+    practiceArea: 'family',
+    requiredFacts: [
+      { key: 'matter_type', label: 'Type of matter (divorce, custody, support, protective order, adoption, other)' },
+      { key: 'other_party', label: "The other party's name and relationship to the client" },
+      { key: 'marriage_dates', label: 'Date of marriage and separation, if applicable' },
+      { key: 'children', label: 'Children involved, their ages and current living arrangements' },
+      { key: 'residence', label: 'Where the client and the other party live (state and county)' },
+      { key: 'existing_orders', label: 'Any existing court orders or pending cases' },
+      { key: 'safety', label: 'Any safety concerns or history of abuse' },
+      { key: 'finances', label: 'Income, major assets and debts' }
+    ],
+    questionGuidance: 'Ask about safety early and respectfully; if the client is in danger, note it clearly. Avoid judgmental language about the other party.',
+    memoSections: [
+      STANDARD_SECTIONS.summary,
+      STANDARD_SECTIONS.qa,
+      { title: 'Parties & Children', instructions: 'Identify the parties, their relationship, and any children with their ages and living arrangements.' },
+      { title: 'Existing Orders & Proceedings', instructions: 'List any court orders or pending cases, with courts and dates where known.' },
+      { title: 'Safety Concerns', instructions: 'Note any safety concerns or history of abuse, or state that none were reported.' },
+      STANDARD_SECTIONS.facts,
+      STANDARD_SECTIONS.issues
+    ]
+  },
+  {
+    id: 'landlord-tenant',
+    name: 'Landlord-tenant',
+    practiceArea: 'landlord-tenant',
+    requiredFacts: [
+      { key: 'client_role', label: 'Whether the client is the landlord or the tenant' },
+      { key: 'property', label: 'Property address and type (apartment, house, commercial)' },
+      { key: 'lease', label: 'Lease terms: start date, length, rent and deposit' },
+      { key: 'dispute', label: 'What the dispute is about (eviction, repairs, deposit, rent)' },
+      { key: 'notices', label: 'Notices served or received, with dates' },
+      { key: 'court_dates', label: 'Any court filings or hearing dates' },
+      { key: 'rent_status', label: 'Whether rent is current or how much is owed' },
+      { key: 'conditions', label: 'Repair or habitability problems and when they were reported' }
+    ],
+    questionGuidance: 'Eviction timelines are short: ask early whether there is a hearing date or a deadline on a notice.',
+    memoSections: [
+      STANDARD_SECTIONS.summary,
+      STANDARD_SECTIONS.qa,
+      { title: 'Tenancy Details', instructions: 'Summarize the property, lease terms, rent and deposit.' },
+      { title: 'Notices & Court Dates', instructions: 'List every notice and court date with its deadline, most urgent first.' },
+      STANDARD_SECTIONS.facts,
+      STANDARD_SECTIONS.issues
+    ]
+  }
+].map(template => ({ ...template, version: 1, builtIn: true }));
+
+const DEFAULT_TEMPLATE_ID = 'general';
+
+const findBuiltInTemplate = (id) => BUILT_IN_TEMPLATES.find(template => template.id === id) || null;
+
+module.exports = { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE_ID, findBuiltInTemplate };
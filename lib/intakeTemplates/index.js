@@ -0,0 +1,239 @@
+// --- Intake templates ---
+// A template tailors the interview and memo to a practice area:
+//
+//   name, practiceArea       practiceArea is an AREAS_OF_LAW tag or 'general'
+//   requiredFacts            [{ key, label, description }] the interview must cover
+//   questionGuidance         extra instructions for the interviewer
+//   memoSections             [{ title, instructions }] after the memo header
+//
+// Tenant templates live in `intake_templates/{id}` (tenantId, name,
+// practiceArea, currentVersion, archived) with each version's content in
+// `intake_templates/{id}/versions/{version}`. Editing a template adds a new
+// version; old versions are kept because reports record the exact version
+// they were produced with. Built-in templates (builtIn.js) can be used by
+// every tenant but not edited.
+//
+// A credential pins its template version when it is created, so editing a
+// template doesn't change interviews already handed out.
+
+const { admin } = require('../firebase');
+const { AREAS_OF_LAW } = require('../reportSchema');
+const { belongsToTenant } = require('../tenants');
+const { BUILT_IN_TEMPLATES, DEFAULT_TEMPLATE_ID, findBuiltInTemplate } = require('./builtIn');
+
+const PRACTICE_AREAS = ['general', ...AREAS_OF_LAW];
+const MAX_REQUIRED_FACTS = 30;
+const MAX_MEMO_SECTIONS = 12;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_GUIDANCE_LENGTH = 5000;
+// Template ids come from URLs; anything else could name a path.
+const TEMPLATE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const isText = (value, maxLength = MAX_TEXT_LENGTH) => typeof value === 'string' && value.trim().length > 0 && value.length <= maxLength;
+
+const templatesRef = (db) => db.collection('intake_templates');
+
+// Validates and normalizes a template's content. Returns `{ error }` or
+// `{ content }`.
+const validateTemplateContent = ({ name, practiceArea, requiredFacts = [], questionGuidance = '', memoSections }) => {
+  if (!isText(name, 200)) return { error: 'Name is required.' };
+  if (!PRACTICE_AREAS.includes(practiceArea)) return { error: `practiceArea must be one of: ${PRACTICE_AREAS.join(', ')}.` };
+
+  if (!Array.isArray(requiredFacts) || requiredFacts.length > MAX_REQUIRED_FACTS) {
+    return { error: `requiredFacts must be a list of at most ${MAX_REQUIRED_FACTS} facts.` };
+  }
+  const keys = new Set();
+  for (const fact of requiredFacts) {
+    if (!fact || !/^[a-z][a-z0-9_]{0,49}$/.test(String(fact.key)) || !isText(fact.label, 200)) {
+      return { error: 'Each required fact needs a snake_case key and a label.' };
+    }
+    if (fact.description !== undefined && fact.description !== null && !isText(fact.description)) {
+      return { error: `The description of "${fact.key}" must be text.` };
+    }
+    if (keys.has(fact.key)) return { error: `Duplicate required fact "${fact.key}".` };
+    keys.add(fact.key);
+  }
+
+  if (typeof questionGuidance !== 'string' || questionGuidance.length > MAX_GUIDANCE_LENGTH) {
+    return { error: `questionGuidance must be text of at most ${MAX_GUIDANCE_LENGTH} characters.` };
+  }
+
+  if (!Array.isArray(memoSections) || !memoSections.length || memoSections.length > MAX_MEMO_SECTIONS) {
+    return { error: `memoSections must list 1 to ${MAX_MEMO_SECTIONS} sections.` };
+  }
+  if (!memoSections.every(section => section && isText(section.title, 200) && isText(section.instructions))) {
+    return { error: 'Each memo section needs a title and instructions.' };
+  }
+
+  return {
+    content: {
+      name: name.trim(),
+      practiceArea,
+      requiredFacts: requiredFacts.map(({ key, label, description }) => ({ key, label: label.trim(), description: description ? description.trim() : null })),
+      questionGuidance: questionGuidance.trim(),
+      memoSections: memoSections.map(({ title, instructions }) => ({ title: title.trim(), instructions: instructions.trim() }))
+    }
+  };
+};
+
+const toTemplateSummary = (doc) => {
+  const { tenantId, ...data } = doc.data();
+  return { id: doc.id, builtIn: false, ...data };
+};
+
+const toBuiltInSummary = ({ id, name, practiceArea, version }) => ({
+  id,
+  name,
+  practiceArea,
+  currentVersion: version,
+  archived: false,
+  builtIn: true
+});
+
+const customTemplateRef = (db, templateId) => {
+  if (!TEMPLATE_ID_PATTERN.test(String(templateId))) throw httpError(404, 'Template not found.');
+  return templatesRef(db).doc(templateId);
+};
+
+const getTemplateDoc = async (db, tenantId, templateId) => {
+  const doc = await customTemplateRef(db, templateId).get();
+  if (!doc.exists || !belongsToTenant(doc.data(), tenantId)) throw httpError(404, 'Template not found.');
+  return doc;
+};
+
+const listTemplates = async (db, tenantId, { includeArchived = false } = {}) => {
+  const snapshot = await templatesRef(db).where('tenantId', '==', tenantId).orderBy('name').get();
+  const custom = snapshot.docs.map(toTemplateSummary).filter(template => includeArchived || !template.archived);
+  return [...BUILT_IN_TEMPLATES.map(toBuiltInSummary), ...custom];
+};
+
+// The full content of one version (the current one by default), in the
+// shape stored on interviews and reports.
+const getTemplate = async (db, tenantId, templateId, version) => {
+  const builtIn = findBuiltInTemplate(templateId);
+  if (builtIn) {
+    if (version !== undefined && version !== builtIn.version) throw httpError(404, 'Template version not found.');
+    return builtIn;
+  }
+
+  const doc = await getTemplateDoc(db, tenantId, templateId);
+  const wanted = version === undefined ? doc.data().currentVersion : version;
+  const versionDoc = await doc.ref.collection('versions').doc(String(wanted)).get();
+  if (!versionDoc.exists) throw httpError(404, 'Template version not found.');
+  const { createdAt, createdBy, ...content } = versionDoc.data();
+  return { id: doc.id, builtIn: false, ...content };
+};
+
+const listTemplateVersions = async (db, tenantId, templateId) => {
+  const builtIn = findBuiltInTemplate(templateId);
+  if (builtIn) return [{ version: builtIn.version, name: builtIn.name, createdAt: null, createdBy: null }];
+
+  const doc = await getTemplateDoc(db, tenantId, templateId);
+  const snapshot = await doc.ref.collection('versions').orderBy('version', 'desc').get();
+  return snapshot.docs.map(versionDoc => {
+    const { version, name, createdAt, createdBy } = versionDoc.data();
+    return { version, name, createdAt, createdBy };
+  });
+};
+
+const createTemplate = async (db, tenantId, input, staff) => {
+  const { error, content } = validateTemplateContent(input);
+  if (error) throw httpError(400, error);
+
+  const templateRef = templatesRef(db).doc();
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  const batch = db.batch();
+  batch.set(templateRef, {
+    tenantId,
+    name: content.name,
+    practiceArea: content.practiceArea,
+    currentVersion: 1,
+    archived: false,
+    createdAt: now,
+    createdBy: staff.sub,
+    updatedAt: now,
+    updatedBy: staff.sub
+  });
+  batch.set(templateRef.collection('versions').doc('1'), { ...content, version: 1, createdAt: now, createdBy: staff.sub });
+  await batch.commit();
+  return getTemplate(db, tenantId, templateRef.id);
+};
+
+// Saves `input` as the template's next version.
+const updateTemplate = async (db, tenantId, templateId, input, staff) => {
+  if (findBuiltInTemplate(templateId)) throw httpError(403, 'Built-in templates cannot be changed; create a copy instead.');
+  const { error, content } = validateTemplateContent(input);
+  if (error) throw httpError(400, error);
+
+  const templateRef = customTemplateRef(db, templateId);
+  const version = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(templateRef);
+    if (!doc.exists || !belongsToTenant(doc.data(), tenantId)) throw httpError(404, 'Template not found.');
+    if (doc.data().archived) throw httpError(409, 'Archived templates cannot be changed.');
+
+    const next = doc.data().currentVersion + 1;
+    const now = admin.firestore.FieldValue.serverTimestamp();
+    transaction.set(templateRef.collection('versions').doc(String(next)), { ...content, version: next, createdAt: now, createdBy: staff.sub });
+    transaction.update(templateRef, {
+      name: content.name,
+      practiceArea: content.practiceArea,
+      currentVersion: next,
+      updatedAt: now,
+      updatedBy: staff.sub
+    });
+    return next;
+  });
+  return getTemplate(db, tenantId, templateId, version);
+};
+
+// Archived templates can't be chosen for new credentials, but intakes
+// already using them carry on.
+const archiveTemplate = async (db, tenantId, templateId, staff) => {
+  if (findBuiltInTemplate(templateId)) throw httpError(403, 'Built-in templates cannot be archived.');
+  const doc = await getTemplateDoc(db, tenantId, templateId);
+  await doc.ref.update({ archived: true, updatedAt: admin.firestore.FieldValue.serverTimestamp(), updatedBy: staff.sub });
+};
+
+// For new credentials: checks the template can be used and returns the
+// `{ id, version }` reference to pin on the credential.
+const resolveTemplateRef = async (db, tenantId, templateId = DEFAULT_TEMPLATE_ID) => {
+  const builtIn = findBuiltInTemplate(templateId);
+  if (builtIn) return { id: builtIn.id, version: builtIn.version };
+
+  const doc = await getTemplateDoc(db, tenantId, templateId);
+  if (doc.data().archived) throw httpError(409, 'This template has been archived.');
+  return { id: doc.id, version: doc.data().currentVersion };
+};
+
+// The template for an intake credential. Credentials created before
+// templates existed get the general template.
+const getTemplateForLogin = (db, tenantId, login) => {
+  const ref = login.template || { id: DEFAULT_TEMPLATE_ID };
+  return getTemplate(db, tenantId, ref.id, ref.version);
+};
+
+// What a report records about the template it was produced with.
+const toTemplateReference = (template) => ({
+  id: template.id,
+  version: template.version,
+  name: template.name,
+  practiceArea: template.practiceArea,
+  sectionTitles: template.memoSections.map(section => section.title)
+});
+
+module.exports = {
+  PRACTICE_AREAS,
+  DEFAULT_TEMPLATE_ID,
+  findBuiltInTemplate,
+  listTemplates,
+  getTemplate,
+  listTemplateVersions,
+  createTemplate,
+  updateTemplate,
+  archiveTemplate,
+  resolveTemplateRef,
+  getTemplateForLogin,
+  toTemplateReference
+};
@@ -0,0 +1,218 @@
+// --- Intake interview engine ---
+// The server owns the interview: the client only ever sends its initial
+// statement and its answers. State lives in `intake_interviews/{caseId}`:
+//
+//   status: 'in_progress' | 'complete'
+//   client: { name, email, phone }
+//   template: the intake template the interview follows (see intakeTemplates)
+//   initialStatement: string
+//   transcript: [{ question, answer, askedAt, answeredAt }]
+//   currentQuestion: string | null
+//   reportData: string | null  (JSON consumed by /api/format-report)
+//   formattedReport, structuredReport: the latest memo and structured
+//     report formatted from it; /api/save-report submits these
+//
+// Everything the client said, and the questions built from it, is stored
+// encrypted (ENCRYPTED_INTERVIEW_FIELDS; see fieldEncryption.js).
+
+const { admin } = require('./firebase');
+const { encryptFields, decryptFields } = require('./fieldEncryption');
+const { DEFAULT_TEMPLATE_ID, findBuiltInTemplate } = require('./intakeTemplates');
+
+const MAX_QUESTIONS = Number(process.env.INTERVIEW_MAX_QUESTIONS) || 8;
+const MAX_ANSWER_LENGTH = 5000;
+const MAX_STATEMENT_LENGTH = 20000;
+
+const ENCRYPTED_INTERVIEW_FIELDS = ['client', 'initialStatement', 'transcript', 'currentQuestion', 'reportData', 'formattedReport', 'structuredReport'];
+
+const interviewRef = (db, caseId) => db.collection('intake_interviews').doc(caseId);
+
+const toStoredInterview = (interview) => ({
+  ...encryptFields(interview, ENCRYPTED_INTERVIEW_FIELDS),
+  updatedAt: admin.firestore.FieldValue.serverTimestamp()
+});
+
+// Interviews started before templates existed follow the general template.
+const templateOf = (interview) => interview.template || findBuiltInTemplate(DEFAULT_TEMPLATE_ID);
+
+const describeTemplate = (template) => {
+  const lines = [];
+  if (template.requiredFacts.length) {
+    lines.push(`This is a ${template.name} intake. Before marking the interview complete, make sure you have learned:`);
+    template.requiredFacts.forEach(fact => lines.push(`- ${fact.label}${fact.description ? ` (${fact.description})` : ''}`));
+  }
+  if (template.questionGuidance) lines.push(`Additional guidance: ${template.questionGuidance}`);
+  return lines.join('\n    ');
+};
+
+const buildQuestionPrompt = (interview) => {
+  const transcript = interview.transcript
+    .map((entry, index) => `Q${index + 1}: ${entry.question}\nA${index + 1}: ${entry.answer}`)
+    .join('\n\n');
+  const templateInstructions = describeTemplate(templateOf(interview));
+
+  return `
+    You are an experienced legal intake specialist at a law firm, interviewing a prospective client.
+    Your goal is to gather the facts an attorney needs to evaluate the case: the parties involved, what happened and when,
+    where it happened, any injuries or losses, documents or evidence, and any deadlines or prior legal action.
+
+    Rules:
+    - Ask exactly ONE clear, plain-language follow-up question at a time.
+    - Do not repeat a question that has already been answered.
+    - Never give legal advice or opinions on the merits of the case.
+    - You may ask at most ${MAX_QUESTIONS} questions in total; ${interview.transcript.length} have been asked so far.
+    - When you have enough information, or the limit is reached, mark the interview complete.
+    ${templateInstructions}
+
+    Respond ONLY with JSON in one of these forms:
+    {"complete": false, "question": "<your next question>"}
+    {"complete": true}
+
+    Client's initial statement:
+    ---
+    ${interview.initialStatement}
+    ---
+
+    Interview so far:
+    ---
+    ${transcript || '(no questions asked yet)'}
+    ---
+  `;
+};
+
+// The JSON handed to /api/format-report once the interview is finished.
+const buildReportData = (interview) => JSON.stringify({
+  clientName: interview.client.name,
+  clientEmail: interview.client.email,
+  clientPhone: interview.client.phone || 'Not provided',
+  initialStatement: interview.initialStatement,
+  interview: interview.transcript.map(({ question, answer }) => ({ question, answer }))
+}, null, 2);
+
+// Decides what happens after the latest answer: either the next question
+// or completion.
+const planNextStep = async (interview, llm) => {
+  if (interview.transcript.length >= MAX_QUESTIONS) return { complete: true };
+
+  const result = await llm.generateJson(buildQuestionPrompt(interview), {
+    task: 'interview-question',
+    names: [interview.client.name]
+  });
+  if (result && result.complete === true && interview.transcript.length > 0) return { complete: true };
+  if (!result || typeof result.question !== 'string' || !result.question.trim()) {
+    throw new Error('The interview model returned an invalid question.');
+  }
+  return { complete: false, question: result.question.trim() };
+};
+
+const applyNextStep = (interview, step) => {
+  if (step.complete) {
+    return {
+      ...interview,
+      status: 'complete',
+      currentQuestion: null,
+      reportData: buildReportData(interview),
+      completedAt: admin.firestore.Timestamp.now()
+    };
+  }
+  return { ...interview, currentQuestion: step.question, currentQuestionAskedAt: admin.firestore.Timestamp.now() };
+};
+
+// The view of the interview that is sent to the client.
+const toInterviewState = (interview) => ({
+  status: interview.status,
+  currentQuestion: interview.currentQuestion,
+  questionNumber: interview.status === 'complete' ? null : interview.transcript.length + 1,
+  maxQuestions: MAX_QUESTIONS,
+  transcript: interview.transcript.map(({ question, answer }) => ({ question, answer }))
+});
+
+const getInterview = async (db, caseId) => {
+  const doc = await interviewRef(db, caseId).get();
+  return doc.exists ? decryptFields(doc.data(), ENCRYPTED_INTERVIEW_FIELDS) : null;
+};
+
+// Starting an interview that already exists returns it unchanged, so a
+// client that retries the request doesn't lose its progress.
+const startInterview = async (db, caseId, { clientName, clientEmail, clientPhone, initialStatement, template }, llm) => {
+  const existing = await getInterview(db, caseId);
+  if (existing) return existing;
+
+  if (!clientName || !clientEmail || !initialStatement) {
+    throw Object.assign(new Error('Client name, email and initial statement are required.'), { status: 400 });
+  }
+  if (String(initialStatement).length > MAX_STATEMENT_LENGTH) {
+    throw Object.assign(new Error('The initial statement is too long.'), { status: 400 });
+  }
+
+  const interview = {
+    caseId,
+    status: 'in_progress',
+    client: { name: String(clientName).trim(), email: String(clientEmail).trim(), phone: clientPhone ? String(clientPhone).trim() : null },
+    initialStatement: String(initialStatement).trim(),
+    template,
+    transcript: [],
+    currentQuestion: null,
+    reportData: null,
+    startedAt: admin.firestore.Timestamp.now()
+  };
+  const started = applyNextStep(interview, await planNextStep(interview, llm));
+
+  // create() fails if a concurrent request started the interview first.
+  try {
+    await interviewRef(db, caseId).create(toStoredInterview(started));
+  } catch (error) {
+    if (error.code !== 6) throw error;
+    return getInterview(db, caseId);
+  }
+  return started;
+};
+
+const answerQuestion = async (db, caseId, answer, llm) => {
+  const interview = await getInterview(db, caseId);
+  if (!interview) throw Object.assign(new Error('The interview has not been started.'), { status: 404 });
+  if (interview.status === 'complete') throw Object.assign(new Error('The interview is already complete.'), { status: 409 });
+  if (!answer || !String(answer).trim()) throw Object.assign(new Error('An answer is required.'), { status: 400 });
+  if (String(answer).length > MAX_ANSWER_LENGTH) throw Object.assign(new Error('The answer is too long.'), { status: 400 });
+
+  const answered = {
+    ...interview,
+    transcript: [...interview.transcript, {
+      question: interview.currentQuestion,
+      answer: String(answer).trim(),
+      askedAt: interview.currentQuestionAskedAt || null,
+      answeredAt: admin.firestore.Timestamp.now()
+    }]
+  };
+  const next = applyNextStep(answered, await planNextStep(answered, llm));
+
+  // The LLM call happens outside the transaction, so make sure nobody else
+  // answered this question in the meantime.
+  const ref = interviewRef(db, caseId);
+  await db.runTransaction(async (transaction) => {
+    const current = decryptFields((await transaction.get(ref)).data(), ENCRYPTED_INTERVIEW_FIELDS);
+    if (current.transcript.length !== interview.transcript.length) {
+      throw Object.assign(new Error('This question has already been answered.'), { status: 409 });
+    }
+    transaction.set(ref, toStoredInterview(next));
+  });
+  return next;
+};
+
+// Keeps the report formatted from a complete interview, so the one that is
+// submitted is the one the server wrote.
+const storeFormattedReport = async (db, caseId, { formattedReport, structuredReport }) => {
+  await interviewRef(db, caseId).update({
+    ...encryptFields({ formattedReport, structuredReport }, ENCRYPTED_INTERVIEW_FIELDS),
+    formattedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+};
+
+module.exports = {
+  MAX_QUESTIONS,
+  getInterview,
+  startInterview,
+  answerQuestion,
+  storeFormattedReport,
+  toInterviewState
+};
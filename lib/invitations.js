@@ -0,0 +1,115 @@
+// --- Client invitations ---
+// Sends a client their intake link and passcode by email or SMS and records
+// the invitation on their `intake_logins` document:
+//
+//   invitation:          { channel, contact, status ('sent' | 'failed'),
+//                          lastSentAt, lastError }
+//   invitationSendCount: number of times it has been sent
+//
+// `contact` is `{ clientName, email, phone }`, encrypted (see
+// fieldEncryption.js); read it with invitationContact() in
+// intakeCredentials.js.
+//
+// Passcodes are only stored hashed, so resending an invitation always
+// issues a new passcode. Messages are signed with the tenant's firm name.
+
+const { admin } = require('./firebase');
+const { encryptValue } = require('./fieldEncryption');
+const { createMailer } = require('./notifications/mailer');
+const { createSmsSender } = require('./notifications/sms');
+
+const CHANNELS = ['email', 'sms'];
+
+// The tenant lets the intake app show the firm's branding before login.
+const intakeLink = (caseId, tenantId) => {
+  const base = process.env.INTAKE_APP_URL;
+  if (!base) return null;
+  const url = new URL(base);
+  url.searchParams.set('caseId', caseId);
+  url.searchParams.set('tenant', tenantId);
+  return url.toString();
+};
+
+const formatExpiry = (expiresAt) => expiresAt.toDate().toLocaleString('en-US', {
+  year: 'numeric',
+  month: 'long',
+  day: 'numeric',
+  hour: '2-digit',
+  minute: '2-digit',
+  timeZoneName: 'short'
+});
+
+const buildInvitationMessage = ({ tenant, clientName, caseId, passcode, expiresAt }) => {
+  const firmName = tenant.branding.firmName || tenant.name;
+  const link = intakeLink(caseId, tenant.id);
+  const expiry = formatExpiry(expiresAt);
+
+  return {
+    subject: `Your confidential intake with ${firmName}`,
+    text: [
+      `Dear ${clientName},`,
+      '',
+      `${firmName} has invited you to complete a confidential online intake interview about your legal matter.`,
+      '',
+      link ? `Start here: ${link}` : null,
+      `Case ID: ${caseId}`,
+      `Passcode: ${passcode}`,
+      '',
+      `This passcode lets you come back to your intake until you submit it. It expires on ${expiry}.`,
+      'If you did not expect this message, please ignore it.'
+    ].filter(line => line !== null).join('\n'),
+    sms: `${firmName}: complete your confidential intake${link ? ` at ${link}` : ''}. Case ID ${caseId}, passcode ${passcode}. Expires ${expiry}.`
+  };
+};
+
+const validateContact = ({ clientName, email, phone, channel }) => {
+  if (!clientName || !String(clientName).trim()) return 'Client name is required.';
+  if (!CHANNELS.includes(channel)) return `Channel must be one of: ${CHANNELS.join(', ')}.`;
+  if (channel === 'email' && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(email || ''))) return 'A valid email address is required.';
+  if (channel === 'sms' && !/^\+[1-9]\d{7,14}$/.test(String(phone || ''))) return 'Phone numbers must be in international format, e.g. +15551234567.';
+  return null;
+};
+
+const createInvitationSender = (db, { mailer = createMailer(), sms = createSmsSender() } = {}) => {
+  const transports = {
+    email: mailer && { send: ({ to, message }) => mailer.send({ to, subject: message.subject, text: message.text }) },
+    sms: sms && { send: ({ to, message, passcode }) => sms.send({ to, text: message.sms, redact: [passcode] }) }
+  };
+
+  // Sends the invitation and records the outcome. Returns the invitation
+  // status; transport errors are recorded rather than thrown.
+  const send = async ({ tenant, caseId, passcode, expiresAt, contact }) => {
+    const transport = transports[contact.channel];
+    const to = contact.channel === 'email' ? contact.email : contact.phone;
+    let status = 'sent';
+    let lastError = null;
+    try {
+      if (!transport) throw new Error(`${contact.channel === 'email' ? 'Email' : 'SMS'} is not configured on the server.`);
+      await transport.send({ to, passcode, message: buildInvitationMessage({ tenant, clientName: contact.clientName, caseId, passcode, expiresAt }) });
+    } catch (error) {
+      console.error(`Failed to send invitation for ${caseId}:`, error.message);
+      status = 'failed';
+      lastError = error.message;
+    }
+
+    await db.collection('intake_logins').doc(caseId).update({
+      invitation: {
+        channel: contact.channel,
+        contact: encryptValue({
+          clientName: String(contact.clientName).trim(),
+          email: contact.email || null,
+          phone: contact.phone || null
+        }),
+        status,
+        lastError,
+        lastSentAt: admin.firestore.Timestamp.now()
+      },
+      invitationSendCount: admin.firestore.FieldValue.increment(1)
+    });
+    return { status, error: lastError };
+  };
+
+  return { send };
+};
+
+module.exports = { CHANNELS, validateContact, createInvitationSender };
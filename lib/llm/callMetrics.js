@@ -0,0 +1,131 @@
+// --- LLM call metrics ---
+// Counts model calls and how long they took, per tenant, per day (UTC) and
+// per API route, for the metrics endpoint (see metrics.js). Each day is one
+// document, `llm_metrics/{tenantId}_{YYYY-MM-DD}`:
+//
+//   tenantId, day, updatedAt
+//   routes     { [route]: { calls, failures, cancelled, totalLatencyMs,
+//                           totalTokens, latency: { [bucket]: calls } } }
+//
+// Latency is kept as a histogram (LATENCY_BUCKETS_MS, upper bounds) rather
+// than per call, so percentiles are estimates: the bucket the percentile
+// falls in. Calls refused by the token budget never reach the model and
+// aren't counted.
+
+const { admin } = require('../firebase');
+
+const LATENCY_BUCKETS_MS = [250, 500, 1000, 2000, 5000, 10000, 20000, 30000, 60000];
+const OVERFLOW_BUCKET = 'over';
+
+const bucketKey = (durationMs) => {
+  const bound = LATENCY_BUCKETS_MS.find(limit => durationMs <= limit);
+  return bound === undefined ? OVERFLOW_BUCKET : `le${bound}`;
+};
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+const createLlmCallMetrics = (db) => {
+  const metricsRef = db.collection('llm_metrics');
+
+  // A failure to record a call shouldn't fail the request it was for.
+  const record = async (tenantId, route, { durationMs, outcome, totalTokens = 0 }) => {
+    const { increment, serverTimestamp } = admin.firestore.FieldValue;
+    const day = dayOf(new Date());
+    await metricsRef.doc(`${tenantId}_${day}`).set({
+      tenantId,
+      day,
+      routes: {
+        [route]: {
+          calls: increment(1),
+          failures: increment(outcome === 'failed' ? 1 : 0),
+          cancelled: increment(outcome === 'cancelled' ? 1 : 0),
+          totalLatencyMs: increment(durationMs),
+          totalTokens: increment(totalTokens),
+          latency: { [bucketKey(durationMs)]: increment(1) }
+        }
+      },
+      updatedAt: serverTimestamp()
+    }, { merge: true }).catch(error => console.error(`Could not record LLM call metrics for ${route}:`, error));
+  };
+
+  return {
+    record,
+
+    // An LLM client whose calls are recorded against the request's tenant
+    // and route.
+    forRequest(llm, req) {
+      const tenantId = req.tenantId;
+      const route = req.route ? req.route.path : req.path;
+      const timed = (method) => async (prompt, options = {}) => {
+        const startedAt = Date.now();
+        let totalTokens = 0;
+        const onUsage = (usage, context) => {
+          totalTokens += usage.totalTokens || (usage.promptTokens || 0) + (usage.outputTokens || 0);
+          if (options.onUsage) return options.onUsage(usage, context);
+        };
+        let outcome = 'ok';
+        try {
+          return await llm[method](prompt, { ...options, onUsage });
+        } catch (error) {
+          outcome = error.cancelled ? 'cancelled' : 'failed';
+          throw error;
+        } finally {
+          record(tenantId, route, { durationMs: Date.now() - startedAt, outcome, totalTokens });
+        }
+      };
+      return {
+        ...llm,
+        generateText: timed('generateText'),
+        generateJson: timed('generateJson'),
+        streamText: timed('streamText')
+      };
+    }
+  };
+};
+
+// The upper bound of the bucket holding the `fraction` percentile; null for
+// no calls, and for calls slower than the largest bucket.
+const latencyPercentile = (latency, calls, fraction) => {
+  if (!calls) return null;
+  const target = Math.ceil(calls * fraction);
+  let seen = 0;
+  for (const bound of LATENCY_BUCKETS_MS) {
+    seen += latency[`le${bound}`] || 0;
+    if (seen >= target) return bound;
+  }
+  return null;
+};
+
+// Reads a tenant's daily documents for `fromDay`..`toDay` (inclusive,
+// YYYY-MM-DD) and totals them per route.
+const summarizeLlmCalls = async (db, tenantId, { fromDay, toDay }) => {
+  const snapshot = await db.collection('llm_metrics')
+    .where('tenantId', '==', tenantId)
+    .where('day', '>=', fromDay)
+    .where('day', '<=', toDay)
+    .get();
+
+  const totals = {};
+  snapshot.docs.forEach(doc => {
+    Object.entries(doc.data().routes || {}).forEach(([route, counts]) => {
+      const total = totals[route] || (totals[route] = { calls: 0, failures: 0, cancelled: 0, totalLatencyMs: 0, totalTokens: 0, latency: {} });
+      ['calls', 'failures', 'cancelled', 'totalLatencyMs', 'totalTokens'].forEach(field => { total[field] += counts[field] || 0; });
+      Object.entries(counts.latency || {}).forEach(([bucket, calls]) => { total.latency[bucket] = (total.latency[bucket] || 0) + calls; });
+    });
+  });
+
+  return Object.entries(totals)
+    .map(([route, total]) => ({
+      route,
+      calls: total.calls,
+      failures: total.failures,
+      cancelled: total.cancelled,
+      averageLatencyMs: total.calls ? Math.round(total.totalLatencyMs / total.calls) : null,
+      p50LatencyMs: latencyPercentile(total.latency, total.calls, 0.5),
+      p95LatencyMs: latencyPercentile(total.latency, total.calls, 0.95),
+      totalTokens: total.totalTokens
+    }))
+    .sort((a, b) => a.route.localeCompare(b.route));
+};
+
+module.exports = { LATENCY_BUCKETS_MS, createLlmCallMetrics, summarizeLlmCalls };
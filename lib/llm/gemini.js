@@ -0,0 +1,97 @@
+// --- Gemini provider ---
+
+const { StringDecoder } = require('string_decoder');
+const fetch = require('node-fetch');
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+const toUsage = (usageMetadata = {}) => ({
+  promptTokens: usageMetadata.promptTokenCount || 0,
+  outputTokens: usageMetadata.candidatesTokenCount || 0,
+  totalTokens: usageMetadata.totalTokenCount || 0
+});
+
+const textOf = (data) => data?.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || '';
+
+const toApiError = async (response) => {
+  const data = await response.json().catch(() => ({}));
+  const error = new Error(data?.error?.message || `Google API Error (${response.status})`);
+  error.httpStatus = response.status;
+  error.retryAfter = response.headers.get('retry-after');
+  return error;
+};
+
+const buildPayload = (prompt, json) => {
+  const payload = {
+    contents: [{ parts: [{ text: prompt }] }]
+  };
+  if (json) {
+    payload.generationConfig = { responseMimeType: "application/json" };
+  }
+  return payload;
+};
+
+const createGeminiProvider = ({ model, apiKey = process.env.GEMINI_API_KEY }) => ({
+  name: 'gemini',
+  model,
+
+  async complete({ prompt, json = false, signal }) {
+    if (!apiKey) throw new Error("GEMINI_API_KEY is not set.");
+
+    const response = await fetch(`${API_BASE}/${model}:generateContent?key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(buildPayload(prompt, json)),
+      signal
+    });
+    if (!response.ok) throw await toApiError(response);
+
+    const data = await response.json().catch(() => ({}));
+    const text = textOf(data);
+    if (!text) throw new Error('Google API returned an empty response.');
+
+    return { text, usage: toUsage(data.usageMetadata) };
+  },
+
+  // Server-sent events from streamGenerateContent; each event carries the
+  // next piece of text, and the last one the token counts.
+  async stream({ prompt, json = false, signal, onText }) {
+    if (!apiKey) throw new Error("GEMINI_API_KEY is not set.");
+
+    const response = await fetch(`${API_BASE}/${model}:streamGenerateContent?alt=sse&key=${apiKey}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(buildPayload(prompt, json)),
+      signal
+    });
+    if (!response.ok) throw await toApiError(response);
+
+    let text = '';
+    let usageMetadata;
+    let buffered = '';
+    const decoder = new StringDecoder('utf8');
+    const handleLine = (line) => {
+      if (!line.startsWith('data:')) return;
+      const data = JSON.parse(line.slice(5));
+      if (data.error) throw new Error(data.error.message || 'Google API stream error.');
+      if (data.usageMetadata) usageMetadata = data.usageMetadata;
+      const chunk = textOf(data);
+      if (chunk) {
+        text += chunk;
+        onText(chunk);
+      }
+    };
+
+    for await (const chunk of response.body) {
+      const lines = (buffered + decoder.write(chunk)).split(/\r?\n/);
+      buffered = lines.pop();
+      lines.forEach(handleLine);
+    }
+    handleLine(buffered + decoder.end());
+    if (!text) throw new Error('Google API returned an empty response.');
+
+    return { text, usage: toUsage(usageMetadata) };
+  }
+});
+
+module.exports = { createGeminiProvider };
@@ -0,0 +1,175 @@
+// --- LLM client ---
+// One entry point for every model call. Wraps a provider (Gemini or the
+// offline mock) with timeouts and retries with exponential backoff.
+//
+// Every call passes a `task` name ('interview-question', 'format-report',
+// ...) which the mock provider uses to pick its canned response, and
+// optionally the `names` of people in the prompt so they can be redacted
+// (see redaction.js). Prompts are always redacted before reaching the
+// provider and responses restored before being returned. An `onUsage`
+// callback receives the provider's token counts for the call
+// ({ promptTokens, outputTokens, totalTokens }), and an AbortSignal in
+// `signal` cancels it.
+//
+// streamText() relays the response as it is generated, a line at a time
+// (redaction tokens never span lines, so each line can be restored on its
+// own). Providers without streaming deliver it all at once. A stream is
+// only retried if it fails before producing any output, and the timeout
+// applies to the gap between chunks rather than the whole response.
+
+const { createGeminiProvider } = require('./gemini');
+const { createMockProvider } = require('./mock');
+const { createRedactor } = require('./redaction');
+
+const PROVIDERS = {
+  gemini: createGeminiProvider,
+  mock: createMockProvider
+};
+
+const DEFAULT_MODEL = 'gemini-1.5-flash-latest';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 429s, 5xx responses, timeouts and network failures are worth retrying;
+// anything else (bad request, bad API key) will fail again.
+const isRetryable = (error) => {
+  if (error.cancelled) return false;
+  if (error.httpStatus) return error.httpStatus === 429 || error.httpStatus >= 500;
+  return error.name === 'AbortError' || error.type === 'system' || error.timedOut === true;
+};
+
+const backoffDelay = (attempt, baseMs, retryAfter) => {
+  const retryAfterMs = Number(retryAfter) * 1000;
+  if (retryAfterMs > 0) return retryAfterMs;
+  return baseMs * 2 ** attempt + Math.floor(Math.random() * baseMs);
+};
+
+const createLlmClient = ({
+  provider = process.env.LLM_PROVIDER || 'gemini',
+  model = process.env.LLM_MODEL || DEFAULT_MODEL,
+  timeoutMs = Number(process.env.LLM_TIMEOUT_MS) || 30000,
+  maxRetries = process.env.LLM_MAX_RETRIES !== undefined ? Number(process.env.LLM_MAX_RETRIES) : 2,
+  retryBaseMs = Number(process.env.LLM_RETRY_BASE_MS) || 500,
+  redactor = createRedactor()
+} = {}) => {
+  const createProvider = PROVIDERS[provider];
+  if (!createProvider) throw new Error(`Unknown LLM provider "${provider}".`);
+  const backend = createProvider({ model });
+
+  // `request.onText`, if given, receives the response text as it arrives.
+  const completeOnce = async ({ signal: callerSignal, onText, ...request }) => {
+    const controller = new AbortController();
+    let timer;
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => controller.abort(), timeoutMs);
+    };
+    const cancel = () => controller.abort();
+    if (callerSignal) {
+      if (callerSignal.aborted) cancel();
+      else callerSignal.addEventListener('abort', cancel, { once: true });
+    }
+
+    restartTimer();
+    try {
+      if (!onText) return await backend.complete({ ...request, signal: controller.signal });
+      if (!backend.stream) {
+        const result = await backend.complete({ ...request, signal: controller.signal });
+        onText(result.text);
+        return result;
+      }
+      return await backend.stream({
+        ...request,
+        signal: controller.signal,
+        onText: (text) => {
+          restartTimer();
+          onText(text);
+        }
+      });
+    } catch (error) {
+      if (callerSignal && callerSignal.aborted) {
+        const cancelledError = new Error('The language model call was cancelled.');
+        cancelledError.cancelled = true;
+        throw cancelledError;
+      }
+      if (controller.signal.aborted) {
+        const timeoutError = new Error(`The language model did not respond within ${timeoutMs}ms.`);
+        timeoutError.timedOut = true;
+        throw timeoutError;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+      if (callerSignal) callerSignal.removeEventListener('abort', cancel);
+    }
+  };
+
+  const complete = async (request, canRetry = () => true) => {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await completeOnce(request);
+      } catch (error) {
+        if (attempt >= maxRetries || !isRetryable(error) || !canRetry()) throw error;
+        const delay = backoffDelay(attempt, retryBaseMs, error.retryAfter);
+        console.warn(`LLM call for "${request.task}" failed (${error.message}); retrying in ${delay}ms.`);
+        await sleep(delay);
+      }
+    }
+  };
+
+  return {
+    provider: backend.name,
+    model: backend.model,
+    redactedEntities: redactor.entities,
+
+    async generateText(prompt, { task, names, onUsage, signal } = {}) {
+      const redaction = redactor.redact(prompt, { names });
+      const { text, usage } = await complete({ prompt: redaction.text, task, json: false, signal });
+      if (onUsage && usage) await onUsage(usage, { task });
+      return redaction.restore(text);
+    },
+
+    async generateJson(prompt, { task, names, onUsage, signal } = {}) {
+      const redaction = redactor.redact(prompt, { names });
+      const { text, usage } = await complete({ prompt: redaction.text, task, json: true, signal });
+      if (onUsage && usage) await onUsage(usage, { task });
+      let parsed;
+      try {
+        parsed = JSON.parse(text);
+      } catch (error) {
+        const parseError = new Error(`The language model returned invalid JSON for "${task}".`);
+        parseError.invalidJson = true;
+        throw parseError;
+      }
+      return redaction.restore(parsed);
+    },
+
+    // Calls `onLine(line)` for each line of the response as it arrives and
+    // resolves to the whole response.
+    async streamText(prompt, { task, names, onUsage, signal, onLine } = {}) {
+      const redaction = redactor.redact(prompt, { names });
+      const lines = [];
+      let partial = '';
+      const onText = (text) => {
+        const pieces = (partial + text).split('\n');
+        partial = pieces.pop();
+        pieces.forEach((piece) => {
+          const line = redaction.restore(piece);
+          lines.push(line);
+          onLine(line);
+        });
+      };
+
+      const { usage } = await complete({ prompt: redaction.text, task, json: false, signal, onText }, () => !lines.length && !partial);
+      if (onUsage && usage) await onUsage(usage, { task });
+      if (partial) {
+        const line = redaction.restore(partial);
+        lines.push(line);
+        onLine(line);
+      }
+      return lines.join('\n');
+    }
+  };
+};
+
+module.exports = { createLlmClient };
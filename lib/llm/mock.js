@@ -0,0 +1,117 @@
+// --- Mock provider ---
+// Deterministic, offline stand-in for the real model so the whole intake
+// flow can be exercised without network access. Responses depend only on
+// the task and the prompt, never on time or randomness.
+
+const INTERVIEW_QUESTIONS = [
+  'When and where did this happen?',
+  'Who else was involved, and how can they be identified?',
+  'Do you have any documents, photos or other evidence related to this?'
+];
+
+const countAskedQuestions = (prompt) => (prompt.match(/^\s*Q\d+:/gm) || []).length;
+
+const extractLine = (prompt, label) => {
+  const match = prompt.match(new RegExp(`^\\s*${label}:\\s*(.+)$`, 'm'));
+  return match ? match[1].trim() : '';
+};
+
+// Pulls the raw intake JSON out of the `---` delimited block in a prompt.
+const extractReportData = (prompt) => {
+  const match = prompt.match(/---\s*\n([\s\S]*?)\n\s*---/g);
+  const block = match ? match[match.length - 1].replace(/^---|---$/g, '') : '{}';
+  try {
+    return JSON.parse(block);
+  } catch (error) {
+    return {};
+  }
+};
+
+const RESPONDERS = {
+  'interview-question': (prompt) => {
+    const asked = countAskedQuestions(prompt);
+    if (asked >= INTERVIEW_QUESTIONS.length) return JSON.stringify({ complete: true });
+    return JSON.stringify({ complete: false, question: INTERVIEW_QUESTIONS[asked] });
+  },
+
+  'structure-report': (prompt) => {
+    const data = extractReportData(prompt);
+    return JSON.stringify({
+      clientInfo: {
+        name: data.clientName || 'Mock Client',
+        email: data.clientEmail || 'mock.client@example.com',
+        phone: data.clientPhone || null
+      },
+      summary: (data.initialStatement || 'Mock summary.').slice(0, 200),
+      qa: (data.interview || []).map(({ question, answer }) => ({ question, answer })),
+      keyFacts: [{ fact: 'Mock fact.', date: null }],
+      legalIssues: [{ issue: 'Mock legal issue.', areasOfLaw: ['other'] }],
+      opposingParties: [{ name: 'Mock Opposing Party LLC', relationship: 'opposing party' }],
+      relatedEntities: []
+    });
+  },
+
+  'format-report': (prompt) => [
+    `TO: ${extractLine(prompt, 'TO')}`,
+    `FROM: ${extractLine(prompt, 'FROM')}`,
+    `DATE: ${extractLine(prompt, 'DATE')}`,
+    'RE: Case Intake - Mock Client Regarding Mock Matter',
+    '',
+    'Case Summary',
+    'This is a mock memorandum produced by the offline LLM provider.',
+    '',
+    "Client's Initial Statement",
+    'See the raw intake data.',
+    '',
+    'Intake Interview Q&A',
+    'Q: Mock question?',
+    'A: Mock answer.',
+    '',
+    'Key Facts & Timeline',
+    '- Mock fact.',
+    '',
+    'Potential Legal Issues',
+    '- Mock legal issue.'
+  ].join('\n')
+};
+
+const estimateTokens = (value) => Math.ceil(value.length / 4);
+
+const respond = ({ prompt, json = false, task }) => {
+  const responder = RESPONDERS[task];
+  const text = responder ? responder(prompt) : (json ? '{}' : 'Mock response.');
+  return {
+    text,
+    usage: {
+      promptTokens: estimateTokens(prompt),
+      outputTokens: estimateTokens(text),
+      totalTokens: estimateTokens(prompt) + estimateTokens(text)
+    }
+  };
+};
+
+const abortError = () => Object.assign(new Error('The operation was aborted.'), { name: 'AbortError' });
+
+const createMockProvider = ({ model = 'mock' } = {}) => ({
+  name: 'mock',
+  model,
+
+  async complete(request) {
+    return respond(request);
+  },
+
+  // Delivers the response a line at a time, yielding to the event loop in
+  // between so cancellation can be exercised.
+  async stream({ signal, onText, ...request }) {
+    const result = respond(request);
+    const pieces = result.text.split(/(?<=\n)/);
+    for (const piece of pieces) {
+      await new Promise(resolve => setImmediate(resolve));
+      if (signal && signal.aborted) throw abortError();
+      onText(piece);
+    }
+    return result;
+  }
+});
+
+module.exports = { createMockProvider };
@@ -0,0 +1,127 @@
+// --- PII redaction ---
+// Replaces personal data in a prompt with placeholder tokens such as
+// [EMAIL_1] before it leaves the server, and swaps the originals back into
+// the model's response. The mapping exists only for the duration of one
+// call and is never sent anywhere.
+//
+// Entity types are chosen with PII_REDACTION_ENTITIES, a comma-separated
+// list of the keys in DETECTORS plus 'name' (default: all of them), or
+// 'none' to send prompts unredacted. Names can't be found by pattern, so
+// callers pass the names they know about (e.g. the client's) with each call.
+
+// Order matters: more specific patterns run first so, for example, an SSN
+// isn't half-matched as a phone number. Emails go before names so an
+// address like jane.doe@example.com is replaced whole.
+const DETECTORS = {
+  email: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi,
+  ssn: /\b(?!000|666|9\d\d)\d{3}[- ]\d{2}[- ]\d{4}\b/g,
+  card: /\b\d(?:[ -]?\d){12,18}\b/g,
+  phone: /(?:\+?1[\s.-]?)?(?:\(\d{3}\)|\b\d{3})[\s.-]?\d{3}[\s.-]?\d{4}\b/g,
+  account: /\b\d{8,17}\b/g
+};
+
+const ENTITY_TYPES = [...Object.keys(DETECTORS), 'name'];
+
+const TOKEN_PATTERN = /\[([A-Z]+)_(\d+)\]/g;
+
+// Card numbers are only redacted when they pass the Luhn check, so long
+// reference numbers fall through to the account detector instead.
+const passesLuhn = (value) => {
+  const digits = value.replace(/\D/g, '');
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+};
+
+const VALIDATORS = {
+  card: passesLuhn
+};
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const resolveEntities = (setting = process.env.PII_REDACTION_ENTITIES) => {
+  if (setting === undefined || setting.trim() === '') return ENTITY_TYPES;
+  if (setting.trim().toLowerCase() === 'none') return [];
+  const requested = setting.split(',').map(type => type.trim().toLowerCase()).filter(Boolean);
+  const unknown = requested.filter(type => !ENTITY_TYPES.includes(type));
+  if (unknown.length) throw new Error(`Unknown PII_REDACTION_ENTITIES: ${unknown.join(', ')}.`);
+  return requested;
+};
+
+// Full names are redacted along with each of their parts, since clients
+// often refer to people by first or last name alone.
+const buildNamePattern = (names) => {
+  const variants = new Set();
+  names
+    .filter(name => typeof name === 'string')
+    .forEach((name) => {
+      const trimmed = name.trim();
+      if (trimmed.length < 2) return;
+      variants.add(trimmed);
+      trimmed.split(/\s+/).filter(part => part.length >= 3).forEach(part => variants.add(part));
+    });
+  if (!variants.size) return null;
+  const alternatives = [...variants].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  return new RegExp(`\\b(?:${alternatives.join('|')})\\b`, 'gi');
+};
+
+const createRedactor = ({ entities = resolveEntities() } = {}) => {
+  const enabled = new Set(entities);
+
+  // Returns the redacted text and a `restore` function for the response.
+  // The same value always maps to the same token within one call.
+  const redact = (text, { names = [] } = {}) => {
+    const tokens = new Map();
+    const originals = new Map();
+    const counters = {};
+
+    const tokenFor = (type, value) => {
+      const key = `${type}:${value}`;
+      if (!tokens.has(key)) {
+        counters[type] = (counters[type] || 0) + 1;
+        const token = `[${type.toUpperCase()}_${counters[type]}]`;
+        tokens.set(key, token);
+        originals.set(token, value);
+      }
+      return tokens.get(key);
+    };
+
+    const replace = (input, type, pattern) => input.replace(pattern, (match) => {
+      const validate = VALIDATORS[type];
+      if (validate && !validate(match)) return match;
+      return tokenFor(type, match);
+    });
+
+    const namePattern = enabled.has('name') ? buildNamePattern(names) : null;
+    let redacted = text;
+    Object.entries(DETECTORS).forEach(([type, pattern]) => {
+      if (enabled.has(type)) redacted = replace(redacted, type, pattern);
+      if (type === 'email' && namePattern) redacted = replace(redacted, 'name', namePattern);
+    });
+
+    const restoreText = (value) => value.replace(TOKEN_PATTERN, token => originals.get(token) || token);
+
+    // Restores strings anywhere inside parsed JSON as well as plain text.
+    const restore = (value) => {
+      if (typeof value === 'string') return restoreText(value);
+      if (Array.isArray(value)) return value.map(restore);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, restore(item)]));
+      }
+      return value;
+    };
+
+    return { text: redacted, restore, redactedCount: originals.size };
+  };
+
+  return { entities: [...enabled], redact };
+};
+
+module.exports = { ENTITY_TYPES, resolveEntities, createRedactor };
@@ -0,0 +1,73 @@
+// --- Per-case LLM token budgets ---
+// Caps how many tokens one intake can spend, so a runaway or abusive
+// session can't run up the model bill. Usage is the token counts the
+// provider reports for each call, kept in `llm_usage/{caseId}`:
+//
+//   totalTokens, promptTokens, outputTokens, calls, updatedAt
+//
+// LLM_TOKEN_BUDGET_PER_CASE sets the limit (default 200000; 0 turns budgets
+// off). The check happens before each call, so concurrent calls can go
+// slightly over the limit, but never by more than one call each.
+
+const { admin } = require('../firebase');
+
+const DEFAULT_TOKEN_BUDGET = 200000;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const readLimit = () => {
+  const value = process.env.LLM_TOKEN_BUDGET_PER_CASE;
+  return value === undefined || value === '' ? DEFAULT_TOKEN_BUDGET : Number(value);
+};
+
+const createTokenBudget = (db, { limit = readLimit() } = {}) => {
+  if (!(limit >= 0)) throw new Error('LLM_TOKEN_BUDGET_PER_CASE must be a number of tokens (0 for no limit).');
+  const usageRef = (caseId) => db.collection('llm_usage').doc(caseId);
+
+  const getUsage = async (caseId) => {
+    const doc = await usageRef(caseId).get();
+    return doc.exists ? doc.data() : { totalTokens: 0, promptTokens: 0, outputTokens: 0, calls: 0 };
+  };
+
+  // A failure to record usage shouldn't fail the call it was for.
+  const recordUsage = async (caseId, { promptTokens = 0, outputTokens = 0, totalTokens = 0 }) => {
+    const { increment, serverTimestamp } = admin.firestore.FieldValue;
+    await usageRef(caseId).set({
+      totalTokens: increment(totalTokens || promptTokens + outputTokens),
+      promptTokens: increment(promptTokens),
+      outputTokens: increment(outputTokens),
+      calls: increment(1),
+      updatedAt: serverTimestamp()
+    }, { merge: true }).catch(error => console.error(`Could not record LLM usage for ${caseId}:`, error));
+  };
+
+  const ensureWithinBudget = async (caseId) => {
+    if (!limit) return;
+    const { totalTokens } = await getUsage(caseId);
+    if (totalTokens >= limit) {
+      throw httpError(429, 'This intake has reached its limit for automated assistance. Please contact the firm to continue.');
+    }
+  };
+
+  return {
+    limit,
+    getUsage,
+
+    // An LLM client for one case: calls are refused once the case is over
+    // budget, and every call's usage is added to the case's total.
+    forCase(llm, caseId) {
+      const withBudget = (method) => async (prompt, options = {}) => {
+        await ensureWithinBudget(caseId);
+        return llm[method](prompt, { ...options, onUsage: (usage) => recordUsage(caseId, usage) });
+      };
+      return {
+        ...llm,
+        generateText: withBudget('generateText'),
+        generateJson: withBudget('generateJson'),
+        streamText: withBudget('streamText')
+      };
+    }
+  };
+};
+
+module.exports = { createTokenBudget };
@@ -0,0 +1,58 @@
+// --- DOCX export ---
+
+const { Document, Packer, Paragraph, TextRun, HeadingLevel, AlignmentType, BorderStyle } = require('docx');
+
+const FONT = 'Times New Roman';
+
+const run = (text, options = {}) => new TextRun({ text, font: FONT, size: 22, ...options });
+
+const rule = () => new Paragraph({
+  border: { bottom: { style: BorderStyle.SINGLE, size: 6, color: '000000', space: 1 } },
+  spacing: { after: 240 }
+});
+
+const renderDocx = async ({ header, sections }, letterhead) => {
+  const children = [];
+
+  if (letterhead.firmName || letterhead.lines.length) {
+    if (letterhead.firmName) {
+      children.push(new Paragraph({ alignment: AlignmentType.CENTER, children: [run(letterhead.firmName, { bold: true, size: 36 })] }));
+    }
+    letterhead.lines.forEach(line => children.push(new Paragraph({ alignment: AlignmentType.CENTER, children: [run(line, { size: 20 })] })));
+    children.push(rule());
+  }
+
+  children.push(new Paragraph({ spacing: { after: 120 }, children: [run('MEMORANDUM', { bold: true, size: 32 })] }));
+  [['TO:', header.to], ['FROM:', header.from], ['DATE:', header.date], ['RE:', header.re]].forEach(([label, value]) => {
+    children.push(new Paragraph({ children: [run(`${label} `, { bold: true }), run(value)] }));
+  });
+  children.push(rule());
+
+  sections.forEach((section) => {
+    if (section.title) {
+      children.push(new Paragraph({
+        heading: HeadingLevel.HEADING_2,
+        spacing: { before: 240, after: 120 },
+        children: [run(section.title, { bold: true, size: 26, color: '000000' })]
+      }));
+    }
+    section.blocks.forEach((block) => {
+      if (block.type === 'paragraph') {
+        children.push(new Paragraph({ alignment: AlignmentType.JUSTIFIED, spacing: { after: 120 }, children: [run(block.text)] }));
+      } else if (block.type === 'bullet') {
+        children.push(new Paragraph({ bullet: { level: 0 }, children: [run(block.text)] }));
+      } else if (block.type === 'qa') {
+        children.push(new Paragraph({ children: [run('Q: ', { bold: true }), run(block.question)] }));
+        children.push(new Paragraph({ indent: { left: 360 }, spacing: { after: 120 }, children: [run('A: ', { bold: true }), run(block.answer)] }));
+      }
+    });
+  });
+
+  const document = new Document({
+    title: `Memorandum - ${header.re}`,
+    sections: [{ properties: {}, children }]
+  });
+  return Packer.toBuffer(document);
+};
+
+module.exports = { renderDocx };
@@ -0,0 +1,27 @@
+// --- Memorandum export ---
+// Renders a stored report's memo (`reportContent`) as PDF, DOCX or
+// Markdown, with the tenant's letterhead on top.
+
+const { parseMemo } = require('./parseMemo');
+const { getLetterhead } = require('./letterhead');
+const { renderMarkdown } = require('./markdown');
+const { renderPdf } = require('./pdf');
+const { renderDocx } = require('./docx');
+
+const FORMATS = {
+  pdf: { render: renderPdf, contentType: 'application/pdf' },
+  docx: { render: renderDocx, contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+  md: { render: renderMarkdown, contentType: 'text/markdown; charset=utf-8' }
+};
+
+const EXPORT_FORMATS = Object.keys(FORMATS);
+
+const exportMemo = async (report, format, branding) => {
+  const { render, contentType } = FORMATS[format];
+  const sectionTitles = report.template ? report.template.sectionTitles : [];
+  const buffer = await render(parseMemo(report.reportContent, { sectionTitles }), getLetterhead(branding));
+  const baseName = String(report.caseNumber || 'report').replace(/[^A-Za-z0-9_-]/g, '');
+  return { buffer, contentType, filename: `${baseName}-intake-memo.${format}` };
+};
+
+module.exports = { EXPORT_FORMATS, exportMemo };
@@ -0,0 +1,13 @@
+// --- Firm letterhead ---
+// Built from the tenant's branding settings (see tenants.js). Lines left
+// unset are skipped.
+
+const getLetterhead = (branding = {}) => ({
+  firmName: branding.firmName || '',
+  lines: [
+    branding.address,
+    [branding.phone, branding.email, branding.website].filter(Boolean).join('  |  ')
+  ].filter(Boolean)
+});
+
+module.exports = { getLetterhead };
@@ -0,0 +1,28 @@
+// --- Markdown export ---
+
+const renderMarkdown = ({ header, sections }, letterhead) => {
+  const lines = [];
+  if (letterhead.firmName) lines.push(`# ${letterhead.firmName}`);
+  letterhead.lines.forEach(line => lines.push(`${line}  `));
+  if (letterhead.firmName || letterhead.lines.length) lines.push('', '---', '');
+
+  lines.push('## MEMORANDUM', '');
+  lines.push(`**TO:** ${header.to}  `);
+  lines.push(`**FROM:** ${header.from}  `);
+  lines.push(`**DATE:** ${header.date}  `);
+  lines.push(`**RE:** ${header.re}`, '');
+
+  sections.forEach((section) => {
+    if (section.title) lines.push(`### ${section.title}`, '');
+    section.blocks.forEach((block) => {
+      if (block.type === 'paragraph') lines.push('', block.text, '');
+      if (block.type === 'bullet') lines.push(`- ${block.text}`);
+      if (block.type === 'qa') lines.push('', `**Q:** ${block.question}  `, `**A:** ${block.answer}`, '');
+    });
+    lines.push('');
+  });
+
+  return Buffer.from(`${lines.join('\n').replace(/\n{3,}/g, '\n\n').trim()}\n`, 'utf8');
+};
+
+module.exports = { renderMarkdown };
@@ -0,0 +1,114 @@
+// --- Memo parser ---
+// Splits the memorandum text produced by /api/format-report into its
+// header (TO/FROM/DATE/RE) and sections. Each section is a list of blocks:
+//
+//   { type: 'paragraph', text }
+//   { type: 'bullet', text }
+//   { type: 'qa', question, answer }
+//
+// The model doesn't format headings consistently (markdown #, **bold**,
+// numbered, or plain), so known section titles, plus the titles from the
+// report's intake template, are matched loosely.
+
+const HEADER_LABELS = { TO: 'to', FROM: 'from', DATE: 'date', RE: 're' };
+
+const KNOWN_SECTIONS = [
+  'Case Summary',
+  "Client's Initial Statement",
+  'Intake Interview Q&A',
+  'Key Facts & Timeline',
+  'Potential Legal Issues'
+];
+
+const stripInline = (text) => text.replace(/\*\*|__/g, '').replace(/`/g, '').trim();
+
+const simplify = (text) => stripInline(text).toLowerCase().replace(/[^a-z]/g, '');
+
+const headingTitle = (line, knownSections) => {
+  const cleaned = stripInline(line.replace(/^#+\s*/, '').replace(/^\d+\.\s*/, '')).replace(/:$/, '').trim();
+  const known = knownSections.find(title => simplify(title) === simplify(cleaned));
+  if (known) return known;
+
+  // Any other line that is entirely bold or a markdown heading.
+  if (/^#{1,6}\s+\S/.test(line) || /^\*\*[^*]+\*\*:?$/.test(line)) return cleaned;
+  return null;
+};
+
+// The title of the section `line` starts, or null if it isn't a heading.
+// Used to split a memo into sections while it is still being generated.
+const sectionHeading = (line, { sectionTitles = [] } = {}) => {
+  const trimmed = line.trim();
+  if (!trimmed || /^memorandum$/i.test(stripInline(trimmed))) return null;
+  return headingTitle(trimmed, [...sectionTitles, ...KNOWN_SECTIONS]);
+};
+
+const parseMemo = (text, { sectionTitles = [] } = {}) => {
+  const knownSections = [...sectionTitles, ...KNOWN_SECTIONS];
+  const header = { to: '', from: '', date: '', re: '' };
+  const sections = [];
+  let current = null;
+  let paragraph = [];
+  let pendingQuestion = null;
+
+  const flushParagraph = () => {
+    if (paragraph.length && current) current.blocks.push({ type: 'paragraph', text: paragraph.join(' ') });
+    paragraph = [];
+  };
+  const flushQuestion = () => {
+    if (pendingQuestion !== null && current) current.blocks.push({ type: 'qa', question: pendingQuestion, answer: '' });
+    pendingQuestion = null;
+  };
+
+  for (const rawLine of String(text || '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+    if (!line) {
+      flushParagraph();
+      continue;
+    }
+
+    const headerMatch = stripInline(line).match(/^(TO|FROM|DATE|RE):\s*(.*)$/i);
+    if (headerMatch && !sections.length) {
+      header[HEADER_LABELS[headerMatch[1].toUpperCase()]] = headerMatch[2].trim();
+      continue;
+    }
+    if (!sections.length && /^memorandum$/i.test(stripInline(line))) continue;
+
+    const title = headingTitle(line, knownSections);
+    if (title) {
+      flushParagraph();
+      flushQuestion();
+      current = { title, blocks: [] };
+      sections.push(current);
+      continue;
+    }
+
+    if (!current) {
+      current = { title: null, blocks: [] };
+      sections.push(current);
+    }
+
+    const questionMatch = stripInline(line).match(/^(?:Q\d*|Question\s*\d*)[:.]\s*(.*)$/i);
+    const answerMatch = stripInline(line).match(/^(?:A\d*|Answer\s*\d*)[:.]\s*(.*)$/i);
+    if (questionMatch) {
+      flushParagraph();
+      flushQuestion();
+      pendingQuestion = questionMatch[1];
+    } else if (answerMatch && pendingQuestion !== null) {
+      current.blocks.push({ type: 'qa', question: pendingQuestion, answer: answerMatch[1] });
+      pendingQuestion = null;
+    } else if (/^([-*•]|\d+[.)])\s+/.test(line)) {
+      flushParagraph();
+      flushQuestion();
+      current.blocks.push({ type: 'bullet', text: stripInline(line.replace(/^([-*•]|\d+[.)])\s+/, '')) });
+    } else {
+      flushQuestion();
+      paragraph.push(stripInline(line));
+    }
+  }
+  flushParagraph();
+  flushQuestion();
+
+  return { header, sections };
+};
+
+module.exports = { parseMemo, sectionHeading };
@@ -0,0 +1,60 @@
+// --- PDF export ---
+
+const PDFDocument = require('pdfkit');
+
+const MARGIN = 72;
+
+const renderPdf = ({ header, sections }, letterhead) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'LETTER', margin: MARGIN, info: { Title: `Memorandum - ${header.re}` } });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const width = doc.page.width - MARGIN * 2;
+
+  if (letterhead.firmName || letterhead.lines.length) {
+    if (letterhead.firmName) doc.font('Times-Bold').fontSize(18).text(letterhead.firmName, { align: 'center' });
+    letterhead.lines.forEach(line => doc.font('Times-Roman').fontSize(10).text(line, { align: 'center' }));
+    doc.moveDown(0.5);
+    doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + width, doc.y).lineWidth(1).stroke();
+    doc.moveDown(1);
+  }
+
+  doc.font('Times-Bold').fontSize(16).text('MEMORANDUM', { align: 'left' });
+  doc.moveDown(0.5);
+  [['TO:', header.to], ['FROM:', header.from], ['DATE:', header.date], ['RE:', header.re]].forEach(([label, value]) => {
+    doc.font('Times-Bold').fontSize(11).text(label, { continued: true, width });
+    doc.font('Times-Roman').text(` ${value}`);
+  });
+  doc.moveDown(0.5);
+  doc.moveTo(MARGIN, doc.y).lineTo(MARGIN + width, doc.y).lineWidth(0.5).stroke();
+  doc.moveDown(1);
+
+  sections.forEach((section) => {
+    if (section.title) {
+      doc.font('Times-Bold').fontSize(13).text(section.title);
+      doc.moveDown(0.3);
+    }
+    section.blocks.forEach((block) => {
+      if (block.type === 'paragraph') {
+        doc.font('Times-Roman').fontSize(11).text(block.text, { align: 'justify' });
+        doc.moveDown(0.5);
+      } else if (block.type === 'bullet') {
+        doc.font('Times-Roman').fontSize(11).list([block.text], { bulletRadius: 2, textIndent: 12, indent: 12 });
+        doc.moveDown(0.2);
+      } else if (block.type === 'qa') {
+        doc.font('Times-Bold').fontSize(11).text('Q: ', { continued: true });
+        doc.font('Times-Roman').text(block.question);
+        doc.font('Times-Bold').text('A: ', { continued: true, indent: 12 });
+        doc.font('Times-Roman').text(block.answer, { indent: 12 });
+        doc.moveDown(0.5);
+      }
+    });
+    doc.moveDown(0.7);
+  });
+
+  doc.end();
+});
+
+module.exports = { renderPdf };
@@ -0,0 +1,161 @@
+// --- Intake metrics ---
+// Aggregates for a tenant over a date range, for staff dashboards:
+//
+//   intakes            reports submitted per day and per week (weeks start
+//                      on Monday)
+//   credentials        credentials created in the range, how many of them
+//                      were used, and the conversion rate
+//   timeToSubmission   hours from a credential's creation to its report
+//   practiceAreas      reports by the practice area of their template
+//   areasOfLaw         reports by the areas of law tagged on their legal
+//                      issues (a report can count towards several)
+//   llm                model calls per route (see llm/callMetrics.js)
+//
+// Days are UTC. Reports and credentials are scanned in batches, so only
+// what retention hasn't purged yet is counted.
+
+const { admin } = require('./firebase');
+const { CREDENTIAL_STATUSES, getCredentialStatus } = require('./intakeCredentials');
+const { summarizeLlmCalls } = require('./llm/callMetrics');
+const { toCsv } = require('./csv');
+
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const SCAN_BATCH_SIZE = 500;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+// The Monday starting the date's week.
+const weekOf = (date) => dayOf(new Date(date.getTime() - ((date.getUTCDay() + 6) % 7) * DAY_MS));
+
+const parseDay = (value) => {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return null;
+  const date = new Date(`${value}T00:00:00Z`);
+  return Number.isNaN(date.getTime()) || dayOf(date) !== value ? null : date;
+};
+
+// Validates `from` and `to` (YYYY-MM-DD, both inclusive). Defaults to the
+// last DEFAULT_RANGE_DAYS days. Returns `{ error }` or `{ range }`.
+const parseMetricsRange = (query, now = new Date()) => {
+  const to = query.to ? parseDay(query.to) : parseDay(dayOf(now));
+  const from = query.from ? parseDay(query.from) : to && new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+  if (!from || !to) return { error: 'from and to must be dates in the form YYYY-MM-DD.' };
+  if (from > to) return { error: 'from must not be after to.' };
+  if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) return { error: `The range can be at most ${MAX_RANGE_DAYS} days.` };
+  return { range: { from, to } };
+};
+
+// Calls `handle` with the data of each of the tenant's documents in
+// `collection` created within the range.
+const scanCreatedBetween = async (db, collection, tenantId, { from, to }, fields, handle) => {
+  const { Timestamp } = admin.firestore;
+  let lastDoc = null;
+  for (;;) {
+    let query = db.collection(collection)
+      .where('tenantId', '==', tenantId)
+      .where('createdAt', '>=', Timestamp.fromDate(from))
+      .where('createdAt', '<', Timestamp.fromMillis(to.getTime() + DAY_MS))
+      .select(...fields)
+      .orderBy('createdAt')
+      .limit(SCAN_BATCH_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    snapshot.docs.forEach(doc => handle(doc.data()));
+    if (snapshot.size < SCAN_BATCH_SIZE) return;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+};
+
+// Every day (or week) in the range, so periods without intakes show as 0.
+const emptySeries = ({ from, to }, periodOf) => {
+  const series = new Map();
+  for (let time = from.getTime(); time <= to.getTime(); time += DAY_MS) {
+    series.set(periodOf(new Date(time)), 0);
+  }
+  return series;
+};
+
+const toSeries = (counts) => [...counts].map(([period, count]) => ({ period, count }));
+
+const toDistribution = (counts, key) => [...counts]
+  .map(([value, count]) => ({ [key]: value, count }))
+  .sort((a, b) => b.count - a.count || a[key].localeCompare(b[key]));
+
+const countInto = (counts, key) => counts.set(key, (counts.get(key) || 0) + 1);
+
+const roundHours = (ms) => Math.round(ms / (60 * 60 * 1000) * 10) / 10;
+
+const percentile = (sorted, fraction) => sorted[Math.min(Math.ceil(sorted.length * fraction), sorted.length) - 1];
+
+const computeMetrics = async (db, tenantId, range) => {
+  const daily = emptySeries(range, dayOf);
+  const weekly = emptySeries(range, weekOf);
+  const practiceAreas = new Map();
+  const areasOfLaw = new Map();
+  let intakes = 0;
+
+  await scanCreatedBetween(db, 'case_reports', tenantId, range, ['createdAt', 'template', 'areasOfLaw'], (report) => {
+    const createdAt = report.createdAt.toDate();
+    intakes++;
+    countInto(daily, dayOf(createdAt));
+    countInto(weekly, weekOf(createdAt));
+    countInto(practiceAreas, (report.template && report.template.practiceArea) || 'unspecified');
+    const tags = Array.isArray(report.areasOfLaw) && report.areasOfLaw.length ? report.areasOfLaw : ['unclassified'];
+    tags.forEach(tag => countInto(areasOfLaw, tag));
+  });
+
+  const byStatus = Object.fromEntries(CREDENTIAL_STATUSES.map(status => [status, 0]));
+  const submissionTimes = [];
+  await scanCreatedBetween(db, 'intake_logins', tenantId, range, ['createdAt', 'usedAt', 'status', 'expiresAt'], (login) => {
+    const status = getCredentialStatus(login);
+    byStatus[status]++;
+    if (status === 'used' && login.usedAt) submissionTimes.push(login.usedAt.toMillis() - login.createdAt.toMillis());
+  });
+  const created = Object.values(byStatus).reduce((sum, count) => sum + count, 0);
+  submissionTimes.sort((a, b) => a - b);
+
+  const llm = await summarizeLlmCalls(db, tenantId, { fromDay: dayOf(range.from), toDay: dayOf(range.to) });
+
+  return {
+    range: { from: dayOf(range.from), to: dayOf(range.to) },
+    intakes: { total: intakes, daily: toSeries(daily), weekly: toSeries(weekly) },
+    credentials: {
+      created,
+      ...byStatus,
+      conversionRate: created ? Math.round(byStatus.used / created * 1000) / 1000 : null
+    },
+    timeToSubmission: {
+      count: submissionTimes.length,
+      averageHours: submissionTimes.length ? roundHours(submissionTimes.reduce((sum, ms) => sum + ms, 0) / submissionTimes.length) : null,
+      medianHours: submissionTimes.length ? roundHours(percentile(submissionTimes, 0.5)) : null,
+      p90Hours: submissionTimes.length ? roundHours(percentile(submissionTimes, 0.9)) : null
+    },
+    practiceAreas: toDistribution(practiceAreas, 'practiceArea'),
+    areasOfLaw: toDistribution(areasOfLaw, 'areaOfLaw'),
+    llm
+  };
+};
+
+// --- CSV export ---
+// One row per figure: section, period or category, metric, value.
+
+const CSV_COLUMNS = ['section', 'key', 'metric', 'value'];
+
+const metricsToCsv = (metrics) => {
+  const rows = [
+    ['range', '', 'from', metrics.range.from],
+    ['range', '', 'to', metrics.range.to],
+    ['intakes', '', 'total', metrics.intakes.total],
+    ...metrics.intakes.daily.map(({ period, count }) => ['intakes_daily', period, 'count', count]),
+    ...metrics.intakes.weekly.map(({ period, count }) => ['intakes_weekly', period, 'count', count]),
+    ...Object.entries(metrics.credentials).map(([metric, value]) => ['credentials', '', metric, value]),
+    ...Object.entries(metrics.timeToSubmission).map(([metric, value]) => ['time_to_submission', '', metric, value]),
+    ...metrics.practiceAreas.map(({ practiceArea, count }) => ['practice_areas', practiceArea, 'count', count]),
+    ...metrics.areasOfLaw.map(({ areaOfLaw, count }) => ['areas_of_law', areaOfLaw, 'count', count]),
+    ...metrics.llm.flatMap(({ route, ...figures }) => Object.entries(figures).map(([metric, value]) => ['llm', route, metric, value]))
+  ];
+  return toCsv(CSV_COLUMNS, rows);
+};
+
+module.exports = { parseMetricsRange, computeMetrics, metricsToCsv };
@@ -0,0 +1,168 @@
+// --- Notifications ---
+// Tells staff about new intakes by email and webhook. Every message is a
+// document in `notification_deliveries`:
+//
+//   tenantId, event, channel ('email' | 'webhook'), target, reportId,
+//   payload, status ('pending' | 'delivered' | 'failed'), attempts, lastError
+//
+// Recipients and webhook URLs come from the report's tenant (see
+// tenants.js), so one firm's intakes never reach another firm.
+//
+// Deliveries are retried with exponential backoff inside the process; a
+// failed one can be retried later from the stored payload. Email payloads
+// name the client, so payloads are stored encrypted (see fieldEncryption.js).
+
+const crypto = require('crypto');
+const { admin } = require('../firebase');
+const { createMailer } = require('./mailer');
+const { postWebhook } = require('./webhooks');
+const { decryptReportFields, encryptValue, decryptValue } = require('../fieldEncryption');
+const { tenantOf, belongsToTenant, getTenant } = require('../tenants');
+
+const MAX_ATTEMPTS = Number(process.env.NOTIFY_MAX_ATTEMPTS) || 4;
+const RETRY_BASE_MS = Number(process.env.NOTIFY_RETRY_BASE_MS) || 2000;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const reportUrl = (reportId) => (process.env.APP_BASE_URL ? `${process.env.APP_BASE_URL.replace(/\/$/, '')}/reports/${reportId}` : null);
+
+// The assigned attorney if there is one, otherwise whoever is on duty,
+// otherwise the tenant's fallback address.
+const findRecipients = async (db, report, tenant) => {
+  if (report.assignedTo) {
+    const assignee = await db.collection('staff_users').doc(report.assignedTo).get();
+    if (assignee.exists && assignee.data().active && belongsToTenant(assignee.data(), tenant.id)) return [assignee.data().email];
+  }
+
+  const onDuty = await db.collection('staff_users')
+    .where('tenantId', '==', tenant.id)
+    .where('role', '==', 'attorney')
+    .where('active', '==', true)
+    .where('onDuty', '==', true)
+    .get();
+  if (!onDuty.empty) return onDuty.docs.map(doc => doc.data().email);
+
+  return tenant.notifications.fallbackEmail ? [tenant.notifications.fallbackEmail] : [];
+};
+
+const buildIntakeEmail = (reportId, report) => ({
+  subject: `New intake submitted: ${report.caseNumber}`,
+  text: [
+    'A new client intake has been submitted.',
+    '',
+    `Case: ${report.caseNumber}`,
+    `Client: ${report.clientName}`,
+    `Areas of law: ${(report.areasOfLaw || []).join(', ') || 'Not classified'}`,
+    `Conflict check: ${report.conflictCheck ? report.conflictCheck.status : 'pending'}`,
+    reportUrl(reportId) ? `\nView the report: ${reportUrl(reportId)}` : ''
+  ].join('\n').trim()
+});
+
+// Webhook payloads leave the firm's systems, so they carry no client PII.
+const buildIntakeEvent = (reportId, report) => ({
+  id: crypto.randomUUID(),
+  type: 'intake.submitted',
+  createdAt: new Date().toISOString(),
+  data: {
+    reportId,
+    caseNumber: report.caseNumber,
+    areasOfLaw: report.areasOfLaw || [],
+    conflictStatus: report.conflictCheck ? report.conflictCheck.status : 'pending',
+    url: reportUrl(reportId)
+  }
+});
+
+const createNotifier = (db, { mailer = createMailer() } = {}) => {
+  const deliveries = db.collection('notification_deliveries');
+
+  // Webhooks are signed with the delivery's tenant's own secret.
+  const send = async (tenantId, channel, target, payload) => {
+    if (channel === 'email') {
+      if (!mailer) throw new Error('Email is not configured (SMTP_HOST is not set).');
+      return mailer.send({ to: target, ...payload });
+    }
+    const tenant = await getTenant(db, tenantId);
+    return postWebhook(target, payload, { secret: tenant ? tenant.webhookSecret : null });
+  };
+
+  // Tries a delivery until it succeeds or runs out of attempts, recording
+  // each attempt on its log document.
+  const attempt = async (deliveryRef, { tenantId, channel, target, payload }, attemptsSoFar = 0) => {
+    for (let attempts = attemptsSoFar + 1; attempts <= attemptsSoFar + MAX_ATTEMPTS; attempts++) {
+      try {
+        await send(tenantId, channel, target, payload);
+        await deliveryRef.update({ status: 'delivered', attempts, lastError: null, deliveredAt: admin.firestore.FieldValue.serverTimestamp() });
+        return true;
+      } catch (error) {
+        const isLast = attempts === attemptsSoFar + MAX_ATTEMPTS;
+        await deliveryRef.update({
+          status: isLast ? 'failed' : 'pending',
+          attempts,
+          lastError: error.message,
+          lastAttemptAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+        if (isLast) {
+          console.error(`Notification ${deliveryRef.id} (${channel} to ${target}) failed:`, error.message);
+          return false;
+        }
+        await sleep(RETRY_BASE_MS * 2 ** (attempts - attemptsSoFar - 1));
+      }
+    }
+    return false;
+  };
+
+  const deliver = async (tenantId, event, channel, target, reportId, payload) => {
+    const delivery = { tenantId, event, channel, target, reportId, payload };
+    const deliveryRef = deliveries.doc();
+    await deliveryRef.set({ ...delivery, payload: encryptValue(payload), status: 'pending', attempts: 0, lastError: null, createdAt: admin.firestore.FieldValue.serverTimestamp() });
+    return attempt(deliveryRef, delivery);
+  };
+
+  return {
+    // Call without awaiting from the request that saved the report; this
+    // can take a while when a target is down.
+    async notifyIntakeSubmitted(reportId) {
+      const reportDoc = await db.collection('case_reports').doc(reportId).get();
+      if (!reportDoc.exists) return;
+      const report = decryptReportFields(reportDoc.data());
+      const tenant = await getTenant(db, tenantOf(report));
+      if (!tenant) return;
+
+      const jobs = [];
+      if (mailer) {
+        const email = buildIntakeEmail(reportId, report);
+        (await findRecipients(db, report, tenant)).forEach(to => jobs.push(deliver(tenant.id, 'intake.submitted', 'email', to, reportId, email)));
+      }
+      const event = buildIntakeEvent(reportId, report);
+      tenant.notifications.webhookUrls.forEach(url => jobs.push(deliver(tenant.id, 'intake.submitted', 'webhook', url, reportId, event)));
+      await Promise.all(jobs);
+    },
+
+    async retryDelivery(deliveryId, tenantId) {
+      const deliveryRef = deliveries.doc(deliveryId);
+      const deliveryDoc = await deliveryRef.get();
+      if (!deliveryDoc.exists || !belongsToTenant(deliveryDoc.data(), tenantId)) {
+        throw Object.assign(new Error('Delivery not found.'), { status: 404 });
+      }
+      if (deliveryDoc.data().status !== 'failed') {
+        throw Object.assign(new Error('Only failed deliveries can be retried.'), { status: 409 });
+      }
+      await deliveryRef.update({ status: 'pending' });
+      const delivery = deliveryDoc.data();
+      return attempt(deliveryRef, { ...delivery, tenantId: tenantOf(delivery), payload: decryptValue(delivery.payload) }, delivery.attempts);
+    }
+  };
+};
+
+const listDeliveries = async (db, { tenantId, status, reportId, limit = 100 }) => {
+  let query = db.collection('notification_deliveries').where('tenantId', '==', tenantId);
+  if (status) query = query.where('status', '==', status);
+  if (reportId) query = query.where('reportId', '==', reportId);
+  const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+  return snapshot.docs.map(doc => {
+    const { payload, ...delivery } = doc.data();
+    return { id: doc.id, ...delivery };
+  });
+};
+
+module.exports = { createNotifier, listDeliveries };
@@ -0,0 +1,25 @@
+// --- SMTP mailer ---
+// Configured with SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+// and SMTP_FROM. Point SMTP_HOST/SMTP_PORT at a local catcher such as
+// MailHog (localhost:1025) to test without sending real mail. Returns null
+// when SMTP_HOST is not set, which disables email.
+
+const nodemailer = require('nodemailer');
+
+const createMailer = () => {
+  if (!process.env.SMTP_HOST) return null;
+
+  const transport = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+  const from = process.env.SMTP_FROM || 'Legal Intake <no-reply@localhost>';
+
+  return {
+    send: ({ to, subject, text }) => transport.sendMail({ from, to, subject, text })
+  };
+};
+
+module.exports = { createMailer };
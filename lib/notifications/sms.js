@@ -0,0 +1,62 @@
+// --- SMS sender ---
+// Chosen with SMS_PROVIDER:
+//
+//   twilio    sends through Twilio's REST API (TWILIO_ACCOUNT_SID,
+//             TWILIO_AUTH_TOKEN, TWILIO_FROM)
+//   console   prints messages to the server log, for development only:
+//             the strings in `redact` (passcodes) are masked, and it
+//             refuses to start when NODE_ENV is "production"
+//
+// Senders implement send({ to, text, redact }). Returns null when
+// SMS_PROVIDER is not set, which disables SMS.
+
+const fetch = require('node-fetch');
+
+const createTwilioSender = () => {
+  const { TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_FROM } = process.env;
+  if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN || !TWILIO_FROM) {
+    throw new Error('TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN and TWILIO_FROM must be set for SMS.');
+  }
+  const url = `https://api.twilio.com/2010-04-01/Accounts/${TWILIO_ACCOUNT_SID}/Messages.json`;
+  const authorization = `Basic ${Buffer.from(`${TWILIO_ACCOUNT_SID}:${TWILIO_AUTH_TOKEN}`).toString('base64')}`;
+
+  return {
+    async send({ to, text }) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { Authorization: authorization, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ To: to, From: TWILIO_FROM, Body: text }).toString()
+      });
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw new Error(data.message || `Twilio responded with HTTP ${response.status}.`);
+      }
+    }
+  };
+};
+
+const createConsoleSender = () => {
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SMS_PROVIDER=console prints messages to the log and cannot be used in production.');
+  }
+  return {
+    async send({ to, text, redact = [] }) {
+      const masked = redact.filter(Boolean).reduce((result, secret) => result.split(secret).join('[redacted]'), text);
+      console.log(`[sms to ${to}] ${masked}`);
+    }
+  };
+};
+
+const SMS_PROVIDERS = {
+  twilio: createTwilioSender,
+  console: createConsoleSender
+};
+
+const createSmsSender = () => {
+  const provider = process.env.SMS_PROVIDER;
+  if (!provider) return null;
+  if (!SMS_PROVIDERS[provider]) throw new Error(`Unknown SMS provider "${provider}".`);
+  return SMS_PROVIDERS[provider]();
+};
+
+module.exports = { createSmsSender };
@@ -0,0 +1,124 @@
+// --- Outgoing webhooks ---
+// Events are POSTed as JSON to each of the tenant's webhook URLs; the
+// default tenant falls back to WEBHOOK_URLS (comma separated).
+// When the tenant has a webhook signing secret (see tenants.js), each
+// request carries
+//
+//   X-Intake-Signature: t=<unix ms>,v1=<hex HMAC-SHA256 of "<t>.<body>">
+//
+// so receivers can check the sender and reject replays. Every firm has its
+// own secret, so one firm's signed payloads are no use against another's
+// receiver.
+//
+// Webhook URLs are chosen by tenant admins, so requests are never sent to
+// loopback, private, link-local (cloud metadata) or other non-public
+// addresses: URLs are checked when they are saved, and the address each
+// request actually connects to is checked again, so a DNS change can't
+// redirect it. Redirects aren't followed. Set
+// WEBHOOK_ALLOW_PRIVATE_ADDRESSES=true to allow internal receivers in
+// development.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+const fetch = require('node-fetch');
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+const allowPrivateAddresses = () => process.env.WEBHOOK_ALLOW_PRIVATE_ADDRESSES === 'true';
+
+// IPv4-mapped IPv6 addresses are matched against the IPv4 ranges.
+const isBlockedAddress = (address) => !allowPrivateAddresses()
+  && BLOCKED_ADDRESSES.check(address, net.isIPv4(address) ? 'ipv4' : 'ipv6');
+
+const getWebhookUrls = () => (process.env.WEBHOOK_URLS || '').split(',').map(url => url.trim()).filter(Boolean);
+
+// Used by the HTTP agents for every connection, so the address checked is
+// the one connected to.
+const publicOnlyLookup = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.some(({ address }) => isBlockedAddress(address))) {
+      return callback(new Error(`Webhook host ${hostname} resolves to a private address.`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const agents = {
+  'http:': new http.Agent({ lookup: publicOnlyLookup }),
+  'https:': new https.Agent({ lookup: publicOnlyLookup })
+};
+
+// Host names that are IP addresses are connected to without a lookup, so
+// they are checked here. Returns the parsed URL.
+const parseWebhookUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    throw new Error('Webhook URLs must be valid http(s) URLs.');
+  }
+  if (!agents[parsed.protocol]) throw new Error('Webhook URLs must be valid http(s) URLs.');
+  const host = parsed.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && isBlockedAddress(host)) throw new Error(`Webhook host ${host} is a private address.`);
+  return parsed;
+};
+
+// For validating URLs when they are saved. Returns an error message, or
+// null if the URL resolves only to public addresses.
+const checkWebhookUrl = async (url) => {
+  try {
+    const parsed = parseWebhookUrl(url);
+    const host = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(host)) return null;
+    const addresses = await dns.promises.lookup(host, { all: true });
+    if (addresses.some(({ address }) => isBlockedAddress(address))) return `Webhook host ${host} resolves to a private address.`;
+    return null;
+  } catch (error) {
+    return error.code === 'ENOTFOUND' ? `Webhook host ${new URL(url).hostname} could not be resolved.` : error.message;
+  }
+};
+
+const signPayload = (body, timestamp, secret) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const postWebhook = async (url, event, { secret = null } = {}) => {
+  const parsed = parseWebhookUrl(url);
+  const body = JSON.stringify(event);
+  const headers = { 'Content-Type': 'application/json', 'User-Agent': 'legal-intake-webhooks' };
+  if (secret) {
+    const timestamp = Date.now();
+    headers['X-Intake-Signature'] = `t=${timestamp},v1=${signPayload(body, timestamp, secret)}`;
+  }
+
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), WEBHOOK_TIMEOUT_MS);
+  try {
+    const response = await fetch(parsed.href, {
+      method: 'POST',
+      headers,
+      body,
+      redirect: 'manual',
+      agent: agents[parsed.protocol],
+      signal: controller.signal
+    });
+    if (!response.ok) throw new Error(`Webhook responded with HTTP ${response.status}.`);
+  } finally {
+    clearTimeout(timer);
+  }
+};
+
+module.exports = { getWebhookUrls, checkWebhookUrl, postWebhook, signPayload };
@@ -0,0 +1,112 @@
+// --- Rate limiting ---
+// Per-route policies limiting how often one client can call an endpoint.
+// Each policy counts requests per key (the client IP unless it says
+// otherwise) in fixed windows, in a store chosen with RATE_LIMIT_STORE:
+//
+//   memory   (default) per process, bounded; see memoryStore.js
+//   redis    shared by every instance; see redisStore.js
+//
+// A policy's limit can be changed with RATE_LIMIT_<POLICY> set to
+// "<max>/<window seconds>" (e.g. RATE_LIMIT_STAFF_LOGIN=5/900) or "off".
+//
+// Client IPs come from req.ip, which is only right behind a proxy when
+// TRUST_PROXY is set (see app.js). If the store can't be reached, requests
+// are counted in a per-process memory store until it is back: limits fail
+// open to per-instance counting, so they (the login ones especially) still
+// hold, if only per instance, and requests are never refused for it.
+
+const crypto = require('crypto');
+const { createMemoryStore } = require('./memoryStore');
+const { createRedisStore } = require('./redisStore');
+
+const STORES = {
+  memory: createMemoryStore,
+  redis: createRedisStore
+};
+
+const TOO_MANY_REQUESTS = 'Too many requests. Please wait a minute and try again.';
+const TOO_MANY_LOGINS = 'Too many login attempts. Please wait a few minutes and try again.';
+
+// Staff login attempts are also counted per account, so spreading a
+// password-guessing attack over many IPs doesn't help. The email is hashed
+// so it isn't kept in the store.
+const accountKey = (req) => {
+  const email = req.body && typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+  return email ? crypto.createHash('sha256').update(email).digest('hex') : null;
+};
+
+const POLICIES = {
+  // Every API request.
+  api: { max: 300, windowSeconds: 60, message: TOO_MANY_REQUESTS },
+  // Requests that call the language model.
+  llm: { max: 20, windowSeconds: 60, message: TOO_MANY_REQUESTS },
+  uploads: { max: 30, windowSeconds: 60 * 60, message: 'Too many uploads. Please try again later.' },
+  intakeLogin: { max: 10, windowSeconds: 15 * 60, message: TOO_MANY_LOGINS },
+  staffLogin: { max: 10, windowSeconds: 15 * 60, message: TOO_MANY_LOGINS },
+  staffLoginAccount: { max: 5, windowSeconds: 15 * 60, message: TOO_MANY_LOGINS, key: accountKey }
+};
+
+const envName = (policyName) => `RATE_LIMIT_${policyName.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase()}`;
+
+// The policy with any environment override applied; null if turned off.
+const resolvePolicy = (name) => {
+  const policy = POLICIES[name];
+  if (!policy) throw new Error(`Unknown rate limit policy "${name}".`);
+
+  const override = process.env[envName(name)];
+  if (!override) return policy;
+  if (override === 'off') return null;
+  const match = override.match(/^(\d+)\/(\d+)$/);
+  if (!match || !Number(match[1]) || !Number(match[2])) {
+    throw new Error(`${envName(name)} must be "<max>/<window seconds>" or "off".`);
+  }
+  return { ...policy, max: Number(match[1]), windowSeconds: Number(match[2]) };
+};
+
+const createRateLimitStore = (backend = process.env.RATE_LIMIT_STORE || 'memory') => {
+  if (!STORES[backend]) throw new Error(`Unknown rate limit store "${backend}".`);
+  return STORES[backend]();
+};
+
+// Returns `rateLimit(policyName)`, which builds the middleware for a policy.
+const createRateLimiter = ({ store = createRateLimitStore() } = {}) => {
+  let fallbackStore = null;
+
+  const hit = async (key, windowMs) => {
+    try {
+      return await store.hit(key, windowMs);
+    } catch (error) {
+      console.error(`Rate limit store unavailable; counting in memory (${error.message}).`);
+      if (!fallbackStore) fallbackStore = createMemoryStore();
+      return fallbackStore.hit(key, windowMs);
+    }
+  };
+
+  const rateLimit = (name) => {
+    const policy = resolvePolicy(name);
+    if (!policy) return (req, res, next) => next();
+    const windowMs = policy.windowSeconds * 1000;
+    const keyOf = policy.key || (req => req.ip);
+
+    return async (req, res, next) => {
+      const key = keyOf(req);
+      if (!key) return next();
+
+      const result = await hit(`${name}:${key}`, windowMs);
+      const resetSeconds = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 0);
+      res.set('RateLimit-Limit', String(policy.max));
+      res.set('RateLimit-Remaining', String(Math.max(policy.max - result.count, 0)));
+      res.set('RateLimit-Reset', String(resetSeconds));
+      if (result.count > policy.max) {
+        res.set('Retry-After', String(resetSeconds));
+        return res.status(429).json({ error: policy.message });
+      }
+      next();
+    };
+  };
+
+  rateLimit.store = store;
+  return rateLimit;
+};
+
+module.exports = { POLICIES, createRateLimitStore, createRateLimiter };
@@ -0,0 +1,49 @@
+// --- In-memory rate limit store ---
+// Fixed-window counters in a Map. Expired windows are swept once a minute
+// and, past `maxKeys` live windows, the oldest is evicted, so memory stays
+// bounded however many clients there are. Counts are per process: they
+// reset on restart and aren't shared between instances (use the Redis
+// store for that).
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = ({ maxKeys = Number(process.env.RATE_LIMIT_MAX_KEYS) || 100000 } = {}) => {
+  // key -> { count, resetAt }, in the order the windows started
+  const windows = new Map();
+
+  const sweep = () => {
+    const now = Date.now();
+    windows.forEach((entry, key) => {
+      if (entry.resetAt <= now) windows.delete(key);
+    });
+  };
+  const timer = setInterval(sweep, SWEEP_INTERVAL_MS);
+  timer.unref();
+
+  return {
+    name: 'memory',
+
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let entry = windows.get(key);
+      if (!entry || entry.resetAt <= now) {
+        windows.delete(key);
+        entry = { count: 0, resetAt: now + windowMs };
+        windows.set(key, entry);
+        if (windows.size > maxKeys) windows.delete(windows.keys().next().value);
+      }
+      entry.count += 1;
+      return { count: entry.count, resetAt: entry.resetAt };
+    },
+
+    async reset(key) {
+      windows.delete(key);
+    },
+
+    close() {
+      clearInterval(timer);
+    }
+  };
+};
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,172 @@
+// --- Redis rate limit store ---
+// Shares counters between instances through Redis, or anything speaking
+// its protocol (Valkey, KeyDB, ...), at RATE_LIMIT_REDIS_URL:
+//
+//   redis://[[user]:password@]host[:port][/db]    rediss:// for TLS
+//
+// It talks RESP over a single socket itself rather than pulling in a
+// client library; the only commands used are AUTH, SELECT, EVAL and DEL.
+// The connection is opened on first use and reopened after any error,
+// including a failed AUTH or SELECT.
+//
+// hit() rejects when Redis can't be reached, refuses a command or doesn't
+// reply within `timeoutMs`. The rate limiter (index.js) then fails open to
+// per-instance limits: it counts in memory until Redis is back, rather than
+// refusing requests.
+
+const net = require('net');
+const tls = require('tls');
+
+const DEFAULT_PORT = 6379;
+
+// Increments the window's counter, starting the window on the first hit.
+// Runs atomically on the server, so instances can't race each other.
+const HIT_SCRIPT = `
+local count = redis.call('INCR', KEYS[1])
+if count == 1 then redis.call('PEXPIRE', KEYS[1], ARGV[1]) end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+const encodeCommand = (args) => args.reduce(
+  (out, arg) => `${out}$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`,
+  `*${args.length}\r\n`
+);
+
+// Parses the reply starting at `offset`. Returns `{ value, offset }` with
+// the offset just past it, or null if the buffer doesn't hold all of it
+// yet. Error replies become Error values.
+const parseReply = (buffer, offset) => {
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new Error(`Redis error: ${line}`), offset: next };
+    case ':':
+      return { value: Number(line), offset: next };
+    case '$': {
+      const length = Number(line);
+      if (length < 0) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = Number(line);
+      if (count < 0) return { value: null, offset: next };
+      const items = [];
+      let position = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, position);
+        if (!item) return null;
+        items.push(item.value);
+        position = item.offset;
+      }
+      return { value: items, offset: position };
+    }
+    default:
+      throw new Error(`Unexpected Redis reply type "${type}".`);
+  }
+};
+
+const createRedisStore = ({ url = process.env.RATE_LIMIT_REDIS_URL, prefix = 'ratelimit:', timeoutMs = 1000 } = {}) => {
+  if (!url) throw new Error('RATE_LIMIT_REDIS_URL is not set.');
+  const target = new URL(url);
+  if (!['redis:', 'rediss:'].includes(target.protocol)) throw new Error('RATE_LIMIT_REDIS_URL must be a redis:// or rediss:// URL.');
+
+  let socket = null;
+  // Settles once AUTH and SELECT have been answered on the current socket.
+  let ready = null;
+  let buffer = Buffer.alloc(0);
+  // Replies arrive in the order commands were sent.
+  const pending = [];
+
+  const failAll = (error) => {
+    pending.splice(0).forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  };
+
+  const disconnect = (error) => {
+    if (socket) socket.destroy();
+    socket = null;
+    buffer = Buffer.alloc(0);
+    failAll(error || new Error('Redis connection closed.'));
+  };
+
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    let offset = 0;
+    try {
+      for (let reply = parseReply(buffer, offset); reply && pending.length; reply = parseReply(buffer, offset)) {
+        offset = reply.offset;
+        const { resolve, reject, timer } = pending.shift();
+        clearTimeout(timer);
+        if (reply.value instanceof Error) reject(reply.value);
+        else resolve(reply.value);
+      }
+    } catch (error) {
+      return disconnect(error);
+    }
+    buffer = buffer.subarray(offset);
+  };
+
+  const send = (args) => new Promise((resolve, reject) => {
+    if (!socket) return reject(new Error('Redis connection closed.'));
+    const timer = setTimeout(() => disconnect(new Error(`Redis did not reply within ${timeoutMs}ms.`)), timeoutMs);
+    pending.push({ resolve, reject, timer });
+    socket.write(encodeCommand(args));
+  });
+
+  const connect = () => {
+    const options = { host: target.hostname, port: Number(target.port) || DEFAULT_PORT };
+    const current = target.protocol === 'rediss:' ? tls.connect({ ...options, servername: target.hostname }) : net.connect(options);
+    current.setNoDelay(true);
+    // Events from a socket that has already been replaced are ignored.
+    current.on('data', chunk => socket === current && onData(chunk));
+    current.on('error', error => socket === current && disconnect(error));
+    current.on('close', () => socket === current && disconnect());
+    socket = current;
+
+    const password = decodeURIComponent(target.password);
+    const username = decodeURIComponent(target.username);
+    const db = Number(target.pathname.slice(1)) || 0;
+    const handshake = [];
+    if (password) handshake.push(send(username ? ['AUTH', username, password] : ['AUTH', password]));
+    if (db) handshake.push(send(['SELECT', db]));
+    ready = Promise.all(handshake).catch((error) => {
+      if (socket === current) disconnect(error);
+      throw new Error(`Could not set up the Redis connection (${error.message}).`);
+    });
+  };
+
+  const command = async (args) => {
+    if (!socket) connect();
+    await ready;
+    return send(args);
+  };
+
+  return {
+    name: 'redis',
+
+    async hit(key, windowMs) {
+      const [count, ttl] = await command(['EVAL', HIT_SCRIPT, 1, prefix + key, windowMs]);
+      return { count, resetAt: Date.now() + (ttl > 0 ? ttl : windowMs) };
+    },
+
+    async reset(key) {
+      await command(['DEL', prefix + key]);
+    },
+
+    close() {
+      if (socket) socket.end();
+    }
+  };
+};
+
+module.exports = { createRedisStore, encodeCommand, parseReply };
@@ -0,0 +1,137 @@
+// --- Report formatting ---
+// Turns the interview's reportData JSON into the prose memorandum and the
+// structured report (see reportSchema.js). The memo's sections and the facts
+// to look for come from the intake template (see intakeTemplates).
+
+const { AREAS_OF_LAW, validateStructuredReport, normalizeStructuredReport } = require('./reportSchema');
+const { sectionHeading } = require('./memoExport/parseMemo');
+
+const STRUCTURED_REPORT_MAX_ATTEMPTS = Number(process.env.STRUCTURED_REPORT_MAX_ATTEMPTS) || 3;
+
+const describeSections = (template) => template.memoSections
+  .map((section, index) => `${index + 2}.  **${section.title}**: ${section.instructions}`)
+  .join('\n            ');
+
+const describeRequiredFacts = (template) => (template.requiredFacts.length
+  ? `- "keyFacts" should cover, where the intake mentions them: ${template.requiredFacts.map(fact => fact.label).join('; ')}.`
+  : '');
+
+// `memo` is the tenant's header settings: `{ to, from }`.
+const buildMemoPrompt = ({ reportData, formattedDateTime, memo, template }) => `
+            You are a Senior Paralegal tasked with converting raw JSON intake data into a formal, well-structured internal memorandum for the ${memo.to}.
+            The memorandum must be clear, professional, and easy to read.
+
+            Follow this exact structure and formatting:
+            1.  **MEMORANDUM Header**: Start with a standard memo header. Use the following format exactly, without any asterisks or other formatting on the labels:
+                TO: ${memo.to}
+                FROM: ${memo.from}
+                DATE: ${formattedDateTime}
+                RE: Case Intake - [Client's Name] Regarding [Briefly describe the case matter]
+            ${describeSections(template)}
+            Start each section with its title on a line of its own, in bold.
+
+            Here is the raw JSON data:
+            ---
+            ${reportData}
+            ---
+        `;
+
+const buildStructuredReportPrompt = (reportData, template, previousErrors) => `
+    You are a Senior Paralegal extracting structured data from a client intake for the firm's case database.
+
+    Respond ONLY with JSON matching this shape exactly:
+    {
+      "clientInfo": { "name": string, "email": string, "phone": string or null },
+      "summary": "one-paragraph summary of the client's situation",
+      "qa": [{ "question": string, "answer": string }],
+      "keyFacts": [{ "fact": string, "date": "YYYY-MM-DD" or null }],
+      "legalIssues": [{ "issue": string, "areasOfLaw": [tag, ...] }],
+      "opposingParties": [{ "name": string, "relationship": string or null }],
+      "relatedEntities": [{ "name": string, "relationship": string or null }]
+    }
+
+    - "qa" must contain every question and answer from the interview, in order.
+    - Only give a "date" when the intake states a specific calendar date; otherwise use null.
+    - "areasOfLaw" tags must come from this list: ${AREAS_OF_LAW.join(', ')}.
+    - "opposingParties" lists every person, company or agency on the other side of the matter, by full name as stated.
+    - "relatedEntities" lists anyone else named (witnesses, employers, insurers, family members), with their relationship to the client.
+    ${describeRequiredFacts(template)}
+    ${previousErrors ? `
+    Your previous response was rejected for these reasons; fix them:
+    ${previousErrors.map(error => `- ${error}`).join('\n    ')}
+    ` : ''}
+    Here is the raw JSON data:
+    ---
+    ${reportData}
+    ---
+  `;
+
+// Names in the intake that should be redacted from prompts.
+const namesInReportData = (reportData) => {
+  try {
+    const { clientName } = JSON.parse(reportData);
+    return clientName ? [clientName] : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const generateMemo = (llm, { reportData, formattedDateTime, memo, template }) =>
+  llm.generateText(buildMemoPrompt({ reportData, formattedDateTime, memo, template }), {
+    task: 'format-report',
+    names: namesInReportData(reportData)
+  });
+
+// Like generateMemo, but calls `onSection({ title, text })` as each section
+// of the memo is completed: first the header (title null), then each
+// section under its heading. Resolves to the whole memo.
+const streamMemo = async (llm, { reportData, formattedDateTime, memo, template }, { signal, onSection }) => {
+  const sectionTitles = template.memoSections.map(section => section.title);
+  let current = { title: null, lines: [] };
+  const finishSection = () => {
+    const text = current.lines.join('\n').trim();
+    if (current.title || text) onSection({ title: current.title, text });
+  };
+
+  const text = await llm.streamText(buildMemoPrompt({ reportData, formattedDateTime, memo, template }), {
+    task: 'format-report',
+    names: namesInReportData(reportData),
+    signal,
+    onLine: (line) => {
+      const title = sectionHeading(line, { sectionTitles });
+      if (!title) return current.lines.push(line);
+      finishSection();
+      current = { title, lines: [] };
+    }
+  });
+  finishSection();
+  return text;
+};
+
+// Asks the model for the structured report, feeding validation errors back
+// into the prompt until it produces something that passes the schema.
+const generateStructuredReport = async (llm, reportData, template, { signal } = {}) => {
+  let previousErrors = null;
+  for (let attempt = 1; attempt <= STRUCTURED_REPORT_MAX_ATTEMPTS; attempt++) {
+    let candidate;
+    try {
+      candidate = await llm.generateJson(buildStructuredReportPrompt(reportData, template, previousErrors), {
+        task: 'structure-report',
+        names: namesInReportData(reportData),
+        signal
+      });
+    } catch (error) {
+      if (!error.invalidJson) throw error;
+      previousErrors = ['The response was not valid JSON.'];
+      continue;
+    }
+
+    const errors = validateStructuredReport(candidate);
+    if (!errors.length) return normalizeStructuredReport(candidate);
+    console.warn(`Structured report attempt ${attempt} rejected:`, errors);
+    previousErrors = errors;
+  }
+  throw new Error('The language model did not produce a valid structured report.');
+};
+
+module.exports = { generateMemo, streamMemo, generateStructuredReport };
@@ -0,0 +1,145 @@
+// --- Structured case report schema ---
+// The machine-readable counterpart of the prose memorandum. Stored as
+// separate fields on `case_reports` so reports can be filtered and reused.
+//
+//   clientInfo:  { name, email, phone }
+//   summary:     string
+//   qa:          [{ question, answer }]
+//   keyFacts:    [{ fact, date }]          date is YYYY-MM-DD or null
+//   legalIssues: [{ issue, areasOfLaw }]   areasOfLaw are AREAS_OF_LAW tags
+//   opposingParties: [{ name, relationship }]  the other side of the matter
+//   relatedEntities: [{ name, relationship }]  witnesses, employers, etc.
+//
+// The two party lists were added for conflict checks and are optional so
+// reports produced before them still validate.
+
+const AREAS_OF_LAW = [
+  'personal-injury',
+  'employment',
+  'family',
+  'landlord-tenant',
+  'real-estate',
+  'contract',
+  'consumer',
+  'criminal',
+  'immigration',
+  'estate-planning',
+  'civil-rights',
+  'business',
+  'bankruptcy',
+  'intellectual-property',
+  'other'
+];
+
+const isNonEmptyString = (value) => typeof value === 'string' && value.trim().length > 0;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+// A YYYY-MM-DD string naming a real day: Date rolls 2023-02-30 over into
+// March, so the parsed date has to give back the same string.
+const isIsoDate = (value) => typeof value === 'string'
+  && ISO_DATE.test(value)
+  && !Number.isNaN(Date.parse(value))
+  && new Date(value).toISOString().slice(0, 10) === value;
+
+// Returns a list of human-readable problems; empty means valid.
+const validateStructuredReport = (report) => {
+  const errors = [];
+  if (!report || typeof report !== 'object' || Array.isArray(report)) return ['Report must be an object.'];
+
+  const { clientInfo, summary, qa, keyFacts, legalIssues } = report;
+
+  if (!clientInfo || typeof clientInfo !== 'object') {
+    errors.push('clientInfo must be an object.');
+  } else {
+    if (!isNonEmptyString(clientInfo.name)) errors.push('clientInfo.name must be a non-empty string.');
+    if (!isNonEmptyString(clientInfo.email)) errors.push('clientInfo.email must be a non-empty string.');
+    if (clientInfo.phone !== null && clientInfo.phone !== undefined && typeof clientInfo.phone !== 'string') {
+      errors.push('clientInfo.phone must be a string or null.');
+    }
+  }
+
+  if (!isNonEmptyString(summary)) errors.push('summary must be a non-empty string.');
+
+  if (!Array.isArray(qa)) {
+    errors.push('qa must be an array.');
+  } else {
+    qa.forEach((entry, index) => {
+      if (!entry || !isNonEmptyString(entry.question) || typeof entry.answer !== 'string') {
+        errors.push(`qa[${index}] must have a question and an answer.`);
+      }
+    });
+  }
+
+  if (!Array.isArray(keyFacts)) {
+    errors.push('keyFacts must be an array.');
+  } else {
+    keyFacts.forEach((entry, index) => {
+      if (!entry || !isNonEmptyString(entry.fact)) errors.push(`keyFacts[${index}].fact must be a non-empty string.`);
+      else if (entry.date !== null && entry.date !== undefined && !isIsoDate(entry.date)) {
+        errors.push(`keyFacts[${index}].date must be YYYY-MM-DD or null.`);
+      }
+    });
+  }
+
+  if (!Array.isArray(legalIssues)) {
+    errors.push('legalIssues must be an array.');
+  } else {
+    legalIssues.forEach((entry, index) => {
+      if (!entry || !isNonEmptyString(entry.issue)) errors.push(`legalIssues[${index}].issue must be a non-empty string.`);
+      if (!entry || !Array.isArray(entry.areasOfLaw) || !entry.areasOfLaw.length) {
+        errors.push(`legalIssues[${index}].areasOfLaw must be a non-empty array.`);
+      } else {
+        entry.areasOfLaw.filter(tag => !AREAS_OF_LAW.includes(tag)).forEach(tag => {
+          errors.push(`legalIssues[${index}].areasOfLaw contains unknown tag "${tag}".`);
+        });
+      }
+    });
+  }
+
+  ['opposingParties', 'relatedEntities'].forEach((field) => {
+    if (report[field] === undefined) return;
+    if (!Array.isArray(report[field])) {
+      errors.push(`${field} must be an array.`);
+      return;
+    }
+    report[field].forEach((entry, index) => {
+      if (!entry || !isNonEmptyString(entry.name)) errors.push(`${field}[${index}].name must be a non-empty string.`);
+      if (entry && entry.relationship !== undefined && entry.relationship !== null && typeof entry.relationship !== 'string') {
+        errors.push(`${field}[${index}].relationship must be a string or null.`);
+      }
+    });
+  });
+
+  return errors;
+};
+
+const normalizeParties = (parties = []) => parties.map(({ name, relationship }) => ({
+  name: name.trim(),
+  relationship: relationship ? relationship.trim() : null
+}));
+
+// Copies only the known fields, so nothing unexpected from the model or the
+// client ends up in Firestore.
+const normalizeStructuredReport = (report) => ({
+  clientInfo: {
+    name: report.clientInfo.name.trim(),
+    email: report.clientInfo.email.trim(),
+    phone: report.clientInfo.phone ? report.clientInfo.phone.trim() : null
+  },
+  summary: report.summary.trim(),
+  qa: report.qa.map(({ question, answer }) => ({ question: question.trim(), answer: answer.trim() })),
+  keyFacts: report.keyFacts.map(({ fact, date }) => ({ fact: fact.trim(), date: date || null })),
+  legalIssues: report.legalIssues.map(({ issue, areasOfLaw }) => ({ issue: issue.trim(), areasOfLaw: [...new Set(areasOfLaw)] })),
+  opposingParties: normalizeParties(report.opposingParties),
+  relatedEntities: normalizeParties(report.relatedEntities)
+});
+
+// Distinct area-of-law tags across all issues, for `array-contains` queries.
+const collectAreasOfLaw = (report) => [...new Set(report.legalIssues.flatMap(issue => issue.areasOfLaw))];
+
+module.exports = {
+  AREAS_OF_LAW,
+  validateStructuredReport,
+  normalizeStructuredReport,
+  collectAreasOfLaw
+};
@@ -0,0 +1,184 @@
+// --- Report search and pagination ---
+// Each `case_reports` document carries a small search index written at
+// save time:
+//
+//   searchTokens:          distinct lowercased words from the case number,
+//                          client details, memo and structured summary
+//   clientEmailNormalized: lowercased client email, for exact lookups
+//
+// Both are blind indexes (see fieldEncryption.js): every token is stored
+// and queried as a keyed hash, so the index doesn't expose client PII.
+//
+// Queries only ever see one side of the recycle bin: `deleted` is always
+// part of the filter.
+//
+// Full-text queries use `array-contains` on the first search term and check
+// the rest in memory. The area-of-law filter uses `array-contains` on
+// `areasOfLaw` instead, or is checked in memory alongside a full-text query,
+// since Firestore allows one `array-contains` per query. The equality filters combined with the createdAt
+// ordering need composite indexes; Firestore logs a link to create each
+// one the first time a new combination is queried.
+
+const { admin } = require('./firebase');
+const { CASE_STATUSES } = require('./caseWorkflow');
+const { AREAS_OF_LAW } = require('./reportSchema');
+const { belongsToTenant } = require('./tenants');
+const { decryptValue, decryptReportFields, blindIndex } = require('./fieldEncryption');
+
+const DEFAULT_PAGE_SIZE = 25;
+const MAX_PAGE_SIZE = 100;
+const MAX_TOKENS = 2000;
+const MAX_SCANNED_BATCHES = 10;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'he', 'her', 'his', 'i', 'in', 'is', 'it',
+  'my', 'of', 'on', 'or', 'she', 'that', 'the', 'their', 'they', 'this', 'to', 'was', 'were', 'with', 'you'
+]);
+
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^a-z0-9@.\-']+/)
+  .map(token => token.replace(/^[.\-']+|[.\-']+$/g, ''))
+  .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+
+const buildSearchTokens = ({ caseNumber, clientName, clientEmail, clientPhone, reportContent, summary }) => {
+  const tokens = new Set([
+    ...tokenize(caseNumber),
+    ...tokenize(clientName),
+    ...tokenize(clientEmail),
+    ...tokenize(clientPhone),
+    ...tokenize(summary),
+    ...tokenize(reportContent)
+  ]);
+  if (clientEmail) tokens.add(String(clientEmail).trim().toLowerCase());
+  if (caseNumber) tokens.add(String(caseNumber).toLowerCase());
+  return [...tokens].slice(0, MAX_TOKENS).map(blindIndex);
+};
+
+// The index fields to merge into a report document. Takes the report's
+// plaintext fields.
+const buildSearchFields = (report) => ({
+  searchTokens: buildSearchTokens(report),
+  clientEmailNormalized: blindIndex(String(report.clientEmail || '').trim().toLowerCase())
+});
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Validates the query string. Returns `{ error }` or `{ filters }`.
+const parseReportFilters = (query) => {
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.` };
+  }
+
+  if (query.status && !CASE_STATUSES.includes(query.status)) {
+    return { error: `status must be one of: ${CASE_STATUSES.join(', ')}.` };
+  }
+  if (query.areaOfLaw && !AREAS_OF_LAW.includes(query.areaOfLaw)) {
+    return { error: `areaOfLaw must be one of: ${AREAS_OF_LAW.join(', ')}.` };
+  }
+
+  const from = parseDate(query.from);
+  const to = parseDate(query.to);
+  if (from === undefined || to === undefined) return { error: 'from and to must be valid dates.' };
+
+  return {
+    filters: {
+      limit,
+      cursor: query.cursor || null,
+      from,
+      to,
+      clientName: query.clientName ? tokenize(query.clientName) : [],
+      clientEmail: query.clientEmail ? String(query.clientEmail).trim().toLowerCase() : null,
+      caseNumber: query.caseNumber || null,
+      status: query.status || null,
+      assignedTo: query.assignedTo || null,
+      areaOfLaw: query.areaOfLaw || null,
+      terms: query.q ? [...new Set(tokenize(query.q))] : [],
+      deleted: false
+    }
+  };
+};
+
+// Every client-name term has to prefix one of the words in the name, so
+// "jon smi" finds "Jonathan Smith".
+const matchesInMemoryFilters = (data, filters) => {
+  if (filters.clientName.length) {
+    const nameWords = tokenize(decryptValue(data.clientName));
+    if (!filters.clientName.every(term => nameWords.some(word => word.startsWith(term)))) return false;
+  }
+  if (filters.terms.length > 1) {
+    const tokens = new Set(data.searchTokens || []);
+    if (!filters.terms.slice(1).every(term => tokens.has(blindIndex(term)))) return false;
+  }
+  if (filters.areaOfLaw && filters.terms.length && !(data.areasOfLaw || []).includes(filters.areaOfLaw)) return false;
+  return true;
+};
+
+// Decrypts the report for staff. Only staff routes should call this.
+const toReportListItem = (doc) => {
+  const { searchTokens, clientEmailNormalized, ...data } = doc.data();
+  return { id: doc.id, ...decryptReportFields(data) };
+};
+
+// Returns `{ reports, nextCursor }`. The cursor is the id of the last
+// document examined; pass it back to continue from there. A cursor that
+// isn't one of the tenant's reports on this side of the recycle bin is
+// rejected, so it can't be used to probe other documents.
+const queryReports = async (db, filters) => {
+  let query = db.collection('case_reports')
+    .where('tenantId', '==', filters.tenantId)
+    .where('deleted', '==', filters.deleted);
+  if (filters.caseNumber) query = query.where('caseNumber', '==', filters.caseNumber);
+  if (filters.clientEmail) query = query.where('clientEmailNormalized', '==', blindIndex(filters.clientEmail));
+  if (filters.status) query = query.where('status', '==', filters.status);
+  if (filters.assignedTo) query = query.where('assignedTo', '==', filters.assignedTo);
+  if (filters.terms.length) query = query.where('searchTokens', 'array-contains', blindIndex(filters.terms[0]));
+  else if (filters.areaOfLaw) query = query.where('areasOfLaw', 'array-contains', filters.areaOfLaw);
+  if (filters.from) query = query.where('createdAt', '>=', admin.firestore.Timestamp.fromDate(filters.from));
+  if (filters.to) query = query.where('createdAt', '<=', admin.firestore.Timestamp.fromDate(filters.to));
+  query = query.orderBy('createdAt', 'desc');
+
+  let lastDoc = null;
+  if (filters.cursor) {
+    lastDoc = await db.collection('case_reports').doc(filters.cursor).get();
+    if (!lastDoc.exists || !belongsToTenant(lastDoc.data(), filters.tenantId) || Boolean(lastDoc.data().deleted) !== filters.deleted) {
+      throw Object.assign(new Error('Invalid cursor.'), { status: 400 });
+    }
+  }
+
+  // In-memory filters can reject documents, so keep reading batches until
+  // the page is full, the collection runs out, or we've scanned enough.
+  const reports = [];
+  const batchSize = Math.min(filters.limit * 2, MAX_PAGE_SIZE);
+  let exhausted = false;
+  for (let batch = 0; batch < MAX_SCANNED_BATCHES && reports.length < filters.limit && !exhausted; batch++) {
+    const page = lastDoc ? query.startAfter(lastDoc) : query;
+    const snapshot = await page.limit(batchSize).get();
+    exhausted = snapshot.size < batchSize;
+
+    for (const doc of snapshot.docs) {
+      lastDoc = doc;
+      if (matchesInMemoryFilters(doc.data(), filters)) reports.push(toReportListItem(doc));
+      if (reports.length >= filters.limit) {
+        exhausted = exhausted && doc === snapshot.docs[snapshot.docs.length - 1];
+        break;
+      }
+    }
+  }
+
+  return { reports, nextCursor: exhausted || !lastDoc ? null : lastDoc.id };
+};
+
+// The query string as recorded in the audit log. Search terms that may
+// name a client are kept out of it; only their use is recorded.
+const PII_QUERY_PARAMS = ['clientName', 'clientEmail', 'q'];
+
+const toAuditedQuery = (query) => Object.fromEntries(Object.entries(query)
+  .map(([key, value]) => [key, PII_QUERY_PARAMS.includes(key) ? '[redacted]' : value]));
+
+module.exports = { tokenize, buildSearchFields, parseReportFilters, queryReports, toReportListItem, toAuditedQuery };
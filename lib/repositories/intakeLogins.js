@@ -0,0 +1,79 @@
+// --- Intake login repository ---
+// Data access for `intake_logins` (one document per intake credential,
+// keyed by caseId) as used by the routes. The credential lifecycle itself
+// lives in intakeCredentials.js; this adds tenant-checked lookups and
+// listing so routes never touch the collection directly.
+
+const { admin } = require('../firebase');
+const { belongsToTenant } = require('../tenants');
+const {
+  toCredentialSummary,
+  createCredential,
+  reissueCredential,
+  revokeCredential,
+  recordFailedAttempt
+} = require('../intakeCredentials');
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 500;
+
+// 'active' and 'expired' are both stored as status 'active' and told apart
+// by `expiresAt`. Firestore wants the range field ordered first, so those
+// two are listed by expiry, latest first; the others by creation, newest
+// first.
+const statusQuery = (query, status, now) => {
+  const nowTimestamp = admin.firestore.Timestamp.fromMillis(now);
+  if (status === 'active') return query.where('status', '==', 'active').where('expiresAt', '>', nowTimestamp).orderBy('expiresAt', 'desc');
+  if (status === 'expired') return query.where('status', '==', 'active').where('expiresAt', '<=', nowTimestamp).orderBy('expiresAt', 'desc');
+  if (status) return query.where('status', '==', status).orderBy('createdAt', 'desc');
+  return query.orderBy('createdAt', 'desc');
+};
+
+const createIntakeLoginRepository = (db) => {
+  const loginsRef = db.collection('intake_logins');
+
+  return {
+    // Any tenant's credential; only for the intake login itself, which is
+    // how the tenant is discovered.
+    async find(caseId) {
+      const doc = await loginsRef.doc(caseId).get();
+      return doc.exists ? doc.data() : null;
+    },
+
+    // Null when missing or another tenant's.
+    async findForTenant(caseId, tenantId) {
+      const login = await this.find(caseId);
+      return login && belongsToTenant(login, tenantId) ? login : null;
+    },
+
+    // A page of the tenant's credentials, optionally by status. The cursor
+    // is the caseId of the last credential on the previous page. Returns
+    // `{ credentials, nextCursor }`.
+    async list(tenantId, { status = null, limit = DEFAULT_PAGE_SIZE, cursor = null, now = Date.now() } = {}) {
+      let query = statusQuery(loginsRef.where('tenantId', '==', tenantId), status, now);
+      if (cursor) {
+        const cursorDoc = await loginsRef.doc(cursor).get();
+        if (!cursorDoc.exists || !belongsToTenant(cursorDoc.data(), tenantId)) {
+          throw Object.assign(new Error('Invalid cursor.'), { status: 400 });
+        }
+        query = query.startAfter(cursorDoc);
+      }
+      const snapshot = await query.limit(limit).get();
+      return {
+        credentials: snapshot.docs.map(toCredentialSummary),
+        nextCursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
+      };
+    },
+
+    create: (input) => createCredential(db, input),
+    reissue: (caseId, input) => reissueCredential(db, caseId, input),
+    revoke: (caseId, input) => revokeCredential(db, caseId, input),
+    recordFailedAttempt: (caseId) => recordFailedAttempt(db, caseId),
+
+    async resetFailedAttempts(caseId) {
+      await loginsRef.doc(caseId).update({ failedAttempts: 0 });
+    }
+  };
+};
+
+module.exports = { MAX_PAGE_SIZE, createIntakeLoginRepository };
@@ -0,0 +1,121 @@
+// --- Report repository ---
+// Data access for `case_reports` as used by the routes: tenant-checked
+// lookups, listing, intake submission and the conflict check result.
+// Building the search index, extracting parties and encrypting client PII
+// happen here, so every report is stored the same way whichever route
+// writes it. Workflow changes delegate to caseWorkflow.js and listing to
+// reportSearch.js.
+
+const { admin } = require('../firebase');
+const { getCredentialStatus } = require('../intakeCredentials');
+const { normalizeStructuredReport, collectAreasOfLaw } = require('../reportSchema');
+const { buildSearchFields, queryReports } = require('../reportSearch');
+const { updateCase, deleteReport, restoreReport, listCaseHistory, listCaseNotes } = require('../caseWorkflow');
+const { extractParties, findConflicts } = require('../conflictCheck');
+const { encryptValue, decryptValue, encryptReportFields, decryptReportFields } = require('../fieldEncryption');
+const { tenantOf, belongsToTenant } = require('../tenants');
+const { toAttachment } = require('../uploads');
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const createReportRepository = (db) => {
+  const reportsRef = db.collection('case_reports');
+
+  return {
+    // The report document, or null when missing or another tenant's.
+    async find(reportId, tenantId) {
+      const doc = await reportsRef.doc(reportId).get();
+      return doc.exists && belongsToTenant(doc.data(), tenantId) ? doc : null;
+    },
+
+    // Like find(), with client PII decrypted.
+    async findDecrypted(reportId, tenantId) {
+      const doc = await this.find(reportId, tenantId);
+      return doc ? { id: doc.id, ...decryptReportFields(doc.data()) } : null;
+    },
+
+    // An attachment's upload record, if it belongs to this report.
+    async findAttachment(reportId, attachmentId, tenantId) {
+      const [reportDoc, uploadDoc] = await Promise.all([
+        this.find(reportId, tenantId),
+        db.collection('intake_uploads').doc(attachmentId).get()
+      ]);
+      if (!reportDoc || !uploadDoc.exists || uploadDoc.data().reportId !== reportId) return null;
+      return { id: uploadDoc.id, ...uploadDoc.data() };
+    },
+
+    list: (filters) => queryReports(db, filters),
+
+    // Stores the report for an intake and consumes its credential in the
+    // same transaction, so two concurrent submissions can't both succeed.
+    // The case's uploads are attached and its draft discarded. Returns the
+    // new report's id.
+    async submitIntake({ tenantId, caseId, clientName, clientEmail, clientPhone, reportContent, structuredReport, template }) {
+      const loginRef = db.collection('intake_logins').doc(caseId);
+      const reportRef = reportsRef.doc();
+      await db.runTransaction(async (transaction) => {
+        const loginDoc = await transaction.get(loginRef);
+        if (!loginDoc.exists || getCredentialStatus(loginDoc.data()) !== 'active') {
+          throw httpError(409, 'This intake has already been submitted or is no longer active.');
+        }
+        const uploads = await transaction.get(db.collection('intake_uploads').where('caseId', '==', caseId));
+
+        const report = {
+          tenantId,
+          caseNumber: caseId,
+          clientName,
+          clientEmail,
+          clientPhone: clientPhone || 'Not provided',
+          reportContent,
+          status: 'new',
+          assignedTo: null,
+          deleted: false,
+          anonymizedAt: null,
+          attachments: uploads.docs.map(toAttachment),
+          template,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        };
+        if (structuredReport) {
+          const structured = normalizeStructuredReport(structuredReport);
+          Object.assign(report, structured, { areasOfLaw: collectAreasOfLaw(structured) });
+        }
+        Object.assign(report, buildSearchFields(report), { parties: extractParties(report) });
+        transaction.set(reportRef, encryptReportFields(report));
+        uploads.docs.forEach(upload => transaction.update(upload.ref, { reportId: reportRef.id }));
+        transaction.delete(db.collection('intake_drafts').doc(caseId));
+        transaction.update(loginRef, {
+          status: 'used',
+          usedAt: admin.firestore.FieldValue.serverTimestamp(),
+          reportId: reportRef.id
+        });
+      });
+      return reportRef.id;
+    },
+
+    // Checks a report's parties against the tenant's other reports and
+    // records the result on it. Returns the report's tenant and matches.
+    async checkConflicts(reportId) {
+      const reportRef = reportsRef.doc(reportId);
+      const report = (await reportRef.get()).data();
+      const parties = decryptValue(report.parties) || [];
+      const conflicts = await findConflicts(db, parties, { tenantId: tenantOf(report), excludeReportId: reportId });
+      await reportRef.update({
+        conflicts: encryptValue(conflicts),
+        conflictCheck: { status: conflicts.length ? 'potential_conflict' : 'clear', checkedAt: admin.firestore.FieldValue.serverTimestamp() }
+      });
+      return { tenantId: tenantOf(report), conflicts };
+    },
+
+    async markConflictCheckFailed(reportId) {
+      await reportsRef.doc(reportId).update({ conflictCheck: { status: 'error', checkedAt: admin.firestore.FieldValue.serverTimestamp() } });
+    },
+
+    updateCase: (reportId, changes, staff) => updateCase(db, reportId, changes, staff),
+    delete: (reportId, staff) => deleteReport(db, reportId, staff),
+    restore: (reportId, staff) => restoreReport(db, reportId, staff),
+    listHistory: (reportId, tenantId) => listCaseHistory(db, reportId, tenantId),
+    listNotes: (reportId, tenantId) => listCaseNotes(db, reportId, tenantId)
+  };
+};
+
+module.exports = { createReportRepository };
@@ -0,0 +1,198 @@
+// --- Retention policy ---
+// Removes client data once it is older than the firm's retention period.
+// All settings come from the environment; a policy left unset is disabled.
+//
+//   REPORT_RETENTION_DAYS          age (from createdAt) after which reports
+//                                  are purged or anonymized
+//   INTAKE_LOGIN_RETENTION_DAYS    same for intake_logins documents
+//   LLM_METRICS_RETENTION_DAYS     age (from the day counted) after which
+//                                  llm_metrics documents are deleted
+//   RETENTION_ACTION               'anonymize' (default) or 'purge'
+//   RECYCLE_BIN_RETENTION_DAYS     soft-deleted reports are purged this
+//                                  long after deletion (default 30)
+//
+// Intake drafts are always deleted once their credential has expired.
+//
+// Anonymizing keeps the non-identifying parts of a report (case number,
+// status, areas of law, dates) for statistics and drops everything else:
+// notes are deleted and note text is cleared from the report's history.
+// The interview transcript, draft, uploaded files, token usage and
+// notification deliveries behind a report are always deleted. An expired
+// intake login only takes its case data with it when the case has no
+// report; otherwise the data goes when the report does.
+//
+// Reports are saved with `anonymizedAt: null` so the anonymize pass can
+// query for the ones still to do; reports saved before that have no field
+// at all and are skipped until `npm run backfill-reports` sets it.
+
+const { admin } = require('./firebase');
+const { deleteExpiredDrafts } = require('./drafts');
+const { deleteUploadsForCase } = require('./uploads');
+
+const BATCH_SIZE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const STARTUP_DELAY_MS = 60 * 1000;
+const REDACTED = '[redacted]';
+
+const readDays = (name, fallback = null) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value > 0 ? value : fallback;
+};
+
+const getRetentionPolicy = () => ({
+  reportDays: readDays('REPORT_RETENTION_DAYS'),
+  intakeLoginDays: readDays('INTAKE_LOGIN_RETENTION_DAYS'),
+  llmMetricsDays: readDays('LLM_METRICS_RETENTION_DAYS'),
+  recycleBinDays: readDays('RECYCLE_BIN_RETENTION_DAYS', 30),
+  action: process.env.RETENTION_ACTION === 'purge' ? 'purge' : 'anonymize'
+});
+
+const cutoff = (days, now) => admin.firestore.Timestamp.fromMillis(now - days * DAY_MS);
+
+const REPORT_PII_FIELDS = {
+  clientName: REDACTED,
+  clientEmail: REDACTED,
+  clientPhone: REDACTED,
+  reportContent: REDACTED,
+  clientInfo: null,
+  summary: null,
+  qa: [],
+  keyFacts: [],
+  legalIssues: [],
+  opposingParties: [],
+  relatedEntities: [],
+  parties: [],
+  conflicts: [],
+  searchTokens: [],
+  clientEmailNormalized: null
+};
+
+// Hard-deletes a report with its history and notes.
+const purgeReport = async (db, fileStorage, reportDoc) => {
+  await deleteReportData(db, fileStorage, reportDoc);
+  await db.recursiveDelete(reportDoc.ref);
+};
+
+// History entries only record who changed the status or assignment, so
+// they are kept without their note text.
+const anonymizeReport = async (db, fileStorage, reportDoc) => {
+  await deleteReportData(db, fileStorage, reportDoc);
+  await forEachExpired(reportDoc.ref.collection('notes').orderBy('createdAt'), note => note.ref.delete());
+  await forEachExpired(
+    reportDoc.ref.collection('history').where('note', '!=', null).orderBy('note'),
+    entry => entry.ref.update({ note: null })
+  );
+  await reportDoc.ref.update({ ...REPORT_PII_FIELDS, attachments: [], anonymizedAt: admin.firestore.FieldValue.serverTimestamp() });
+};
+
+// Everything stored for a report outside its own document.
+const deleteReportData = async (db, fileStorage, reportDoc) => {
+  await deleteCaseData(db, fileStorage, reportDoc.data().caseNumber);
+  await forEachExpired(
+    db.collection('notification_deliveries').where('reportId', '==', reportDoc.id),
+    delivery => delivery.ref.delete()
+  );
+};
+
+// Everything stored for a case outside its report.
+const deleteCaseData = async (db, fileStorage, caseId) => {
+  if (!caseId) return;
+  await db.collection('intake_interviews').doc(caseId).delete();
+  await db.collection('intake_drafts').doc(caseId).delete();
+  await db.collection('llm_usage').doc(caseId).delete();
+  await deleteUploadsForCase(db, fileStorage, caseId);
+};
+
+const caseHasReport = async (db, caseId) => {
+  const snapshot = await db.collection('case_reports').where('caseNumber', '==', caseId).limit(1).get();
+  return !snapshot.empty;
+};
+
+// Runs `handle` over every document matched by `query`, a batch at a time.
+// Pages with startAfter, so `handle` may delete or update the documents.
+const forEachExpired = async (query, handle, shouldSkip = () => false) => {
+  let processed = 0;
+  let lastDoc = null;
+  for (;;) {
+    const page = lastDoc ? query.startAfter(lastDoc) : query;
+    const snapshot = await page.limit(BATCH_SIZE).get();
+    for (const doc of snapshot.docs) {
+      if (shouldSkip(doc.data())) continue;
+      await handle(doc);
+      processed++;
+    }
+    if (snapshot.size < BATCH_SIZE) return processed;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+};
+
+// Applies the retention policy once. Returns counts of what was done.
+const runRetention = async (db, { fileStorage, policy = getRetentionPolicy(), now = Date.now() }) => {
+  const result = { recycleBinPurged: 0, reportsProcessed: 0, intakeLoginsProcessed: 0, draftsDeleted: 0, llmMetricsDeleted: 0, action: policy.action };
+
+  result.draftsDeleted = await deleteExpiredDrafts(db, now);
+
+  result.recycleBinPurged = await forEachExpired(
+    db.collection('case_reports')
+      .where('deleted', '==', true)
+      .where('deletedAt', '<', cutoff(policy.recycleBinDays, now))
+      .orderBy('deletedAt'),
+    (doc) => purgeReport(db, fileStorage, doc)
+  );
+
+  if (policy.reportDays) {
+    const expired = db.collection('case_reports').where('createdAt', '<', cutoff(policy.reportDays, now));
+    result.reportsProcessed = policy.action === 'purge'
+      ? await forEachExpired(expired.orderBy('createdAt'), doc => purgeReport(db, fileStorage, doc))
+      : await forEachExpired(expired.where('anonymizedAt', '==', null).orderBy('createdAt'), doc => anonymizeReport(db, fileStorage, doc));
+  }
+
+  if (policy.intakeLoginDays) {
+    result.intakeLoginsProcessed = await forEachExpired(
+      db.collection('intake_logins').where('createdAt', '<', cutoff(policy.intakeLoginDays, now)).orderBy('createdAt'),
+      async (doc) => {
+        if (!(await caseHasReport(db, doc.id))) await deleteCaseData(db, fileStorage, doc.id);
+        if (policy.action === 'purge') return doc.ref.delete();
+        return doc.ref.update({
+          hashedPasscode: admin.firestore.FieldValue.delete(),
+          invitation: admin.firestore.FieldValue.delete(),
+          status: doc.data().status === 'active' ? 'revoked' : doc.data().status,
+          anonymizedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      },
+      (data) => policy.action === 'anonymize' && Boolean(data.anonymizedAt)
+    );
+  }
+
+  if (policy.llmMetricsDays) {
+    const cutoffDay = new Date(now - policy.llmMetricsDays * DAY_MS).toISOString().slice(0, 10);
+    result.llmMetricsDeleted = await forEachExpired(
+      db.collection('llm_metrics').where('day', '<', cutoffDay).orderBy('day'),
+      doc => doc.ref.delete()
+    );
+  }
+
+  return result;
+};
+
+// Runs the retention job inside the server process, a minute after startup
+// and then on an interval. Set RETENTION_JOB_INTERVAL_HOURS to enable;
+// `npm run retention` does the same thing once, for use from cron.
+const scheduleRetention = (db, { audit, fileStorage }) => {
+  const intervalHours = readDays('RETENTION_JOB_INTERVAL_HOURS');
+  if (!intervalHours) return null;
+
+  const run = () => runRetention(db, { fileStorage })
+    .then((result) => {
+      console.log('Retention job finished:', result);
+      return audit.recordSystem('retention.run', { details: result });
+    })
+    .catch(error => console.error('Retention job failed:', error));
+
+  setTimeout(run, STARTUP_DELAY_MS).unref();
+  const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { getRetentionPolicy, runRetention, scheduleRetention };
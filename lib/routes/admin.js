@@ -0,0 +1,76 @@
+// --- Admin routes ---
+// Notification deliveries and the audit log; admins only.
+
+const express = require('express');
+const { listDeliveries } = require('../notifications');
+const { parseAuditFilters, queryAuditLog, verifyAuditChain, auditEntriesToCsv } = require('../audit');
+
+const createAdminRoutes = ({ db, audit, notifier, requireStaff }) => {
+  const router = express.Router();
+
+  // --- NOTIFICATION DELIVERIES ---
+
+  router.get('/api/notifications/deliveries', requireStaff('admin'), async (req, res) => {
+    try {
+      const { status, reportId } = req.query;
+      if (status && !['pending', 'delivered', 'failed'].includes(status)) {
+        return res.status(400).json({ success: false, error: 'status must be pending, delivered or failed.' });
+      }
+      const deliveries = await listDeliveries(db, { tenantId: req.tenantId, status, reportId });
+      res.status(200).json({ success: true, deliveries });
+    } catch (error) {
+      console.error('Error listing notification deliveries:', error);
+      res.status(500).json({ success: false, error: 'Failed to list notification deliveries.' });
+    }
+  });
+
+  router.post('/api/notifications/deliveries/:id/retry', requireStaff('admin'), async (req, res) => {
+    try {
+      const delivered = await notifier.retryDelivery(req.params.id, req.tenantId);
+      await audit.record(req, 'notification.retry', { details: { deliveryId: req.params.id, delivered } });
+      res.status(200).json({ success: true, delivered });
+    } catch (error) {
+      console.error('Error retrying notification delivery:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to retry delivery.' });
+    }
+  });
+
+  // --- AUDIT LOG ---
+
+  router.get('/api/audit-log', requireStaff('admin'), async (req, res) => {
+    try {
+      const { filters, error: filterError } = parseAuditFilters(req.query);
+      if (filterError) return res.status(400).json({ success: false, error: filterError });
+
+      const { entries, nextCursor } = await queryAuditLog(db, { ...filters, tenantId: req.tenantId });
+      if (req.query.format === 'csv') {
+        await audit.record(req, 'audit.export', { details: { query: req.query, count: entries.length } });
+        res.set('Content-Type', 'text/csv');
+        res.set('Content-Disposition', 'attachment; filename="audit-log.csv"');
+        if (nextCursor) res.set('X-Next-Cursor', nextCursor);
+        return res.status(200).send(auditEntriesToCsv(entries));
+      }
+
+      await audit.record(req, 'audit.query', { details: { query: req.query, count: entries.length } });
+      res.status(200).json({ success: true, entries, nextCursor });
+    } catch (error) {
+      console.error('Error querying the audit log:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to query the audit log.' });
+    }
+  });
+
+  router.get('/api/audit-log/verify', requireStaff('admin'), async (req, res) => {
+    try {
+      const result = await verifyAuditChain(db, req.tenantId);
+      await audit.record(req, 'audit.verify', { details: result });
+      res.status(200).json({ success: true, ...result });
+    } catch (error) {
+      console.error('Error verifying the audit log:', error);
+      res.status(500).json({ success: false, error: 'Failed to verify the audit log.' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRoutes };
@@ -0,0 +1,206 @@
+// --- Intake credential routes ---
+// Staff create, list, revoke and reissue intake credentials and send them
+// to clients; clients exchange a credential for an intake session token.
+
+const express = require('express');
+const bcrypt = require('bcrypt');
+const { issueIntakeToken } = require('../auth');
+const { CREDENTIAL_STATUSES, resolveTtlHours, getCredentialStatus, invitationContact } = require('../intakeCredentials');
+const { getInterview } = require('../interview');
+const { getDraft } = require('../drafts');
+const { validateContact } = require('../invitations');
+const { tenantOf, toPublicBranding, getTenant } = require('../tenants');
+const { resolveTemplateRef } = require('../intakeTemplates');
+const { MAX_PAGE_SIZE } = require('../repositories/intakeLogins');
+
+const TTL_ERROR = 'ttlHours must be a positive number of hours (max 30 days).';
+
+const createCredentialRoutes = ({ db, audit, invitations, rateLimit, requireStaff, intakeLogins }) => {
+  const router = express.Router();
+
+  // --- SECURE LOGIN SYSTEM ---
+
+  router.post('/api/create-intake-credentials', requireStaff(), async (req, res) => {
+    try {
+      const ttlHours = resolveTtlHours(req.body.ttlHours);
+      if (!ttlHours) {
+        return res.status(400).json({ success: false, error: TTL_ERROR });
+      }
+
+      const template = await resolveTemplateRef(db, req.tenantId, req.body.templateId);
+      const { caseId, passcode, expiresAt } = await intakeLogins.create({ tenantId: req.tenantId, ttlHours, createdBy: req.staff.sub, template });
+      await audit.record(req, 'credential.create', { caseId, details: { ttlHours, template } });
+      res.status(200).json({ success: true, caseId, passcode, expiresAt, template });
+    } catch (error) {
+      console.error("Error creating intake credentials:", error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : "Could not create credentials." });
+    }
+  });
+
+  router.get('/api/intake-credentials', requireStaff(), async (req, res) => {
+    try {
+      const { status, cursor } = req.query;
+      if (status && !CREDENTIAL_STATUSES.includes(status)) {
+        return res.status(400).json({ success: false, error: `Status must be one of: ${CREDENTIAL_STATUSES.join(', ')}.` });
+      }
+      const limit = req.query.limit === undefined ? undefined : Number(req.query.limit);
+      if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE)) {
+        return res.status(400).json({ success: false, error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}.` });
+      }
+
+      const { credentials, nextCursor } = await intakeLogins.list(req.tenantId, { status, limit, cursor });
+      await audit.record(req, 'credential.list', { details: { status: status || null } });
+      res.status(200).json({ success: true, credentials, nextCursor });
+    } catch (error) {
+      console.error("Error listing intake credentials:", error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : "Could not list credentials." });
+    }
+  });
+
+  router.post('/api/intake-credentials/:caseId/revoke', requireStaff(), async (req, res) => {
+    try {
+      await intakeLogins.revoke(req.params.caseId, { tenantId: req.tenantId, revokedBy: req.staff.sub });
+      await audit.record(req, 'credential.revoke', { caseId: req.params.caseId });
+      res.status(200).json({ success: true, message: "Credential revoked." });
+    } catch (error) {
+      console.error("Error revoking intake credential:", error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : "Could not revoke credential." });
+    }
+  });
+
+  router.post('/api/intake-credentials/:caseId/reissue', requireStaff(), async (req, res) => {
+    try {
+      const ttlHours = resolveTtlHours(req.body.ttlHours);
+      if (!ttlHours) {
+        return res.status(400).json({ success: false, error: TTL_ERROR });
+      }
+
+      const { caseId, passcode, expiresAt } = await intakeLogins.reissue(req.params.caseId, { tenantId: req.tenantId, ttlHours, reissuedBy: req.staff.sub });
+      await audit.record(req, 'credential.reissue', { caseId, details: { ttlHours } });
+      res.status(200).json({ success: true, caseId, passcode, expiresAt });
+    } catch (error) {
+      console.error("Error reissuing intake credential:", error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : "Could not reissue credential." });
+    }
+  });
+
+  // --- CLIENT INVITATIONS ---
+
+  router.post('/api/intake-credentials/invite', requireStaff(), async (req, res) => {
+    try {
+      const { clientName, email, phone, channel } = req.body;
+      const contactError = validateContact({ clientName, email, phone, channel });
+      if (contactError) return res.status(400).json({ success: false, error: contactError });
+      const ttlHours = resolveTtlHours(req.body.ttlHours);
+      if (!ttlHours) {
+        return res.status(400).json({ success: false, error: TTL_ERROR });
+      }
+
+      const template = await resolveTemplateRef(db, req.tenantId, req.body.templateId);
+      const { caseId, passcode, expiresAt } = await intakeLogins.create({ tenantId: req.tenantId, ttlHours, createdBy: req.staff.sub, template });
+      const tenant = await getTenant(db, req.tenantId);
+      const delivery = await invitations.send({ tenant, caseId, passcode, expiresAt, contact: { clientName, email, phone, channel } });
+      await audit.record(req, 'credential.invite', { caseId, outcome: delivery.status === 'sent' ? 'success' : 'failure', details: { channel, ttlHours, template } });
+      res.status(200).json({ success: true, caseId, expiresAt, template, invitation: delivery });
+    } catch (error) {
+      console.error("Error sending intake invitation:", error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : "Could not send the invitation." });
+    }
+  });
+
+  // Reissues the passcode (the old one can't be recovered) and sends it to
+  // the contact on file, or to an updated contact given in the body.
+  router.post('/api/intake-credentials/:caseId/resend-invitation', requireStaff(), async (req, res) => {
+    try {
+      const login = await intakeLogins.findForTenant(req.params.caseId, req.tenantId);
+      if (!login) {
+        return res.status(404).json({ success: false, error: "Credential not found." });
+      }
+      const previous = login.invitation && { ...invitationContact(login.invitation), channel: login.invitation.channel };
+      if (!previous && !req.body.channel) {
+        return res.status(400).json({ success: false, error: "No invitation on file; provide the client's contact details." });
+      }
+
+      const contact = {
+        clientName: req.body.clientName || (previous && previous.clientName),
+        email: req.body.email || (previous && previous.email),
+        phone: req.body.phone || (previous && previous.phone),
+        channel: req.body.channel || previous.channel
+      };
+      const contactError = validateContact(contact);
+      if (contactError) return res.status(400).json({ success: false, error: contactError });
+      const ttlHours = resolveTtlHours(req.body.ttlHours);
+      if (!ttlHours) {
+        return res.status(400).json({ success: false, error: TTL_ERROR });
+      }
+
+      const { caseId, passcode, expiresAt } = await intakeLogins.reissue(req.params.caseId, { tenantId: req.tenantId, ttlHours, reissuedBy: req.staff.sub });
+      const tenant = await getTenant(db, req.tenantId);
+      const delivery = await invitations.send({ tenant, caseId, passcode, expiresAt, contact });
+      await audit.record(req, 'credential.resend_invitation', { caseId, outcome: delivery.status === 'sent' ? 'success' : 'failure', details: { channel: contact.channel, ttlHours } });
+      res.status(200).json({ success: true, caseId, expiresAt, invitation: delivery });
+    } catch (error) {
+      console.error("Error resending intake invitation:", error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : "Could not resend the invitation." });
+    }
+  });
+
+  router.post('/api/validate-intake-credentials', rateLimit('intakeLogin'), async (req, res) => {
+    try {
+      const { caseId, passcode } = req.body;
+      if (!caseId || !passcode) {
+        return res.status(400).json({ success: false, error: "Case ID and Passcode are required." });
+      }
+
+      const loginData = await intakeLogins.find(caseId);
+
+      if (!loginData) {
+        await audit.record(req, 'credential.validate', { caseId, outcome: 'failure', details: { reason: 'unknown_case' } });
+        return res.status(404).json({ success: false, error: "Invalid login details." });
+      }
+
+      req.tenantId = tenantOf(loginData);
+      const tenant = await getTenant(db, req.tenantId);
+      const status = tenant && tenant.active ? getCredentialStatus(loginData) : 'revoked';
+      if (status === 'locked') {
+        await audit.record(req, 'credential.validate', { caseId, outcome: 'denied', details: { reason: 'locked' } });
+        return res.status(423).json({ success: false, error: "Too many failed attempts. Please contact the firm for a new passcode." });
+      }
+      if (status !== 'active') {
+        await audit.record(req, 'credential.validate', { caseId, outcome: 'denied', details: { reason: status } });
+        return res.status(403).json({ success: false, error: "This intake session has expired." });
+      }
+
+      const isMatch = await bcrypt.compare(String(passcode), loginData.hashedPasscode);
+
+      if (isMatch) {
+        if (loginData.failedAttempts) await intakeLogins.resetFailedAttempts(caseId);
+        const token = issueIntakeToken(caseId, loginData);
+        const [draft, interview] = await Promise.all([getDraft(db, caseId), getInterview(db, caseId)]);
+        await audit.record(req, 'credential.validate', { caseId });
+        res.status(200).json({
+          success: true,
+          message: "Login successful.",
+          caseId,
+          token,
+          tenant: toPublicBranding(tenant),
+          resume: { hasDraft: Boolean(draft), interviewStatus: interview ? interview.status : null }
+        });
+      } else {
+        const locked = await intakeLogins.recordFailedAttempt(caseId);
+        await audit.record(req, 'credential.validate', { caseId, outcome: 'failure', details: { reason: 'wrong_passcode', locked } });
+        if (locked) {
+          return res.status(423).json({ success: false, error: "Too many failed attempts. Please contact the firm for a new passcode." });
+        }
+        res.status(401).json({ success: false, error: "Invalid login details." });
+      }
+    } catch (error) {
+      console.error("Error validating credentials:", error);
+      res.status(500).json({ success: false, error: "Server error during validation." });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createCredentialRoutes };
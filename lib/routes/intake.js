@@ -0,0 +1,269 @@
+// --- Intake routes ---
+// Everything the client does during an intake session: the interview,
+// drafts, uploads, and formatting and submitting the report. All require
+// an intake session token (see auth.js). Model calls count against the
+// case's token budget (see llm/tokenBudget.js) and are timed for the
+// metrics endpoint (see llm/callMetrics.js).
+
+const express = require('express');
+const { getInterview, startInterview, answerQuestion, storeFormattedReport, toInterviewState } = require('../interview');
+const { generateMemo, streamMemo, generateStructuredReport } = require('../reportFormatter');
+const { getDraft, saveDraft } = require('../drafts');
+const { uploadMiddleware, listUploads, storeUploads, deleteUpload } = require('../uploads');
+const { getTenant } = require('../tenants');
+const { getTemplateForLogin, toTemplateReference } = require('../intakeTemplates');
+const { openEventStream } = require('../sse');
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const createIntakeRoutes = ({ db, llm, tokenBudget, llmMetrics, audit, notifier, fileStorage, rateLimit, requireIntake, reports }) => {
+  const router = express.Router();
+  const llmLimit = rateLimit('llm');
+
+  const caseLlm = (req) => tokenBudget.forCase(llmMetrics.forRequest(llm, req), req.intake.caseId);
+
+  // The template the interview was started with, or the credential's.
+  const templateFor = async (req, interview) => (interview && interview.template
+    ? interview.template
+    : getTemplateForLogin(db, req.tenantId, req.intake.login));
+
+  // --- INTAKE INTERVIEW ---
+
+  router.post('/api/intake/interview/start', llmLimit, requireIntake, async (req, res) => {
+    try {
+      const { clientName, clientEmail, clientPhone, initialStatement } = req.body;
+      const template = await getTemplateForLogin(db, req.tenantId, req.intake.login);
+      const interview = await startInterview(db, req.intake.caseId, { clientName, clientEmail, clientPhone, initialStatement, template }, caseLlm(req));
+      await audit.record(req, 'interview.start', { caseId: req.intake.caseId });
+      res.status(200).json({ success: true, ...toInterviewState(interview) });
+    } catch (error) {
+      console.error('Error starting interview:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Could not start the interview.' });
+    }
+  });
+
+  router.post('/api/intake/interview/answer', llmLimit, requireIntake, async (req, res) => {
+    try {
+      const interview = await answerQuestion(db, req.intake.caseId, req.body.answer, caseLlm(req));
+      await audit.record(req, 'interview.answer', { caseId: req.intake.caseId, details: { status: interview.status } });
+      res.status(200).json({ success: true, ...toInterviewState(interview) });
+    } catch (error) {
+      console.error('Error answering interview question:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Could not record your answer.' });
+    }
+  });
+
+  router.get('/api/intake/interview/next', requireIntake, async (req, res) => {
+    try {
+      const interview = await getInterview(db, req.intake.caseId);
+      if (!interview) {
+        return res.status(404).json({ success: false, error: 'The interview has not been started.' });
+      }
+      res.status(200).json({ success: true, ...toInterviewState(interview) });
+    } catch (error) {
+      console.error('Error fetching interview:', error);
+      res.status(500).json({ success: false, error: 'Could not load the interview.' });
+    }
+  });
+
+  // --- INTAKE DRAFTS ---
+
+  router.get('/api/intake/draft', requireIntake, async (req, res) => {
+    try {
+      const [draft, interview] = await Promise.all([getDraft(db, req.intake.caseId), getInterview(db, req.intake.caseId)]);
+      res.status(200).json({
+        success: true,
+        draft: draft ? draft.data : null,
+        updatedAt: draft ? draft.updatedAt : null,
+        interview: interview ? toInterviewState(interview) : null
+      });
+    } catch (error) {
+      console.error('Error fetching intake draft:', error);
+      res.status(500).json({ success: false, error: 'Could not load your saved progress.' });
+    }
+  });
+
+  router.put('/api/intake/draft', requireIntake, async (req, res) => {
+    try {
+      const { updatedAt } = await saveDraft(db, req.intake.caseId, req.body.data, req.intake.login);
+      res.status(200).json({ success: true, updatedAt });
+    } catch (error) {
+      console.error('Error saving intake draft:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Could not save your progress.' });
+    }
+  });
+
+  // --- INTAKE UPLOADS ---
+
+  router.post('/api/intake/uploads', rateLimit('uploads'), requireIntake, uploadMiddleware(), async (req, res) => {
+    try {
+      const uploads = await storeUploads(db, fileStorage, req.intake.caseId, req.files);
+      await audit.record(req, 'upload.create', { caseId: req.intake.caseId, details: { files: uploads.map(upload => upload.id) } });
+      res.status(201).json({ success: true, uploads });
+    } catch (error) {
+      console.error('Error storing uploads:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Could not upload your files.' });
+    }
+  });
+
+  router.get('/api/intake/uploads', requireIntake, async (req, res) => {
+    try {
+      res.status(200).json({ success: true, uploads: await listUploads(db, req.intake.caseId) });
+    } catch (error) {
+      console.error('Error listing uploads:', error);
+      res.status(500).json({ success: false, error: 'Could not load your files.' });
+    }
+  });
+
+  router.delete('/api/intake/uploads/:id', requireIntake, async (req, res) => {
+    try {
+      await deleteUpload(db, fileStorage, req.intake.caseId, req.params.id);
+      await audit.record(req, 'upload.delete', { caseId: req.intake.caseId, details: { uploadId: req.params.id } });
+      res.status(200).json({ success: true });
+    } catch (error) {
+      console.error('Error deleting upload:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Could not delete the file.' });
+    }
+  });
+
+  // --- ENDPOINT TO FORMAT THE REPORT ---
+
+  // What generating the memo needs, shared by both format-report routes.
+  // The report is only ever built from the interview held on the server;
+  // the client supplies nothing but its local date and time.
+  const memoInput = async (req) => {
+    const { formattedDateTime } = req.body;
+    if (!formattedDateTime) throw httpError(400, 'A formatted date is required.');
+    const interview = await getInterview(db, req.intake.caseId);
+    if (!interview || interview.status !== 'complete') {
+      throw httpError(409, 'Finish the interview before formatting the report.');
+    }
+
+    const tenant = await getTenant(db, req.tenantId);
+    const template = await templateFor(req, interview);
+    return { reportData: interview.reportData, formattedDateTime, memo: tenant.memo, template };
+  };
+
+  router.post('/api/format-report', llmLimit, requireIntake, async (req, res) => {
+    try {
+      const input = await memoInput(req);
+      const budgetedLlm = caseLlm(req);
+      const [formattedReport, structuredReport] = await Promise.all([
+        generateMemo(budgetedLlm, input),
+        generateStructuredReport(budgetedLlm, input.reportData, input.template)
+      ]);
+      await storeFormattedReport(db, req.intake.caseId, { formattedReport, structuredReport });
+      await audit.record(req, 'report.format', { caseId: req.intake.caseId });
+      res.json({ formattedReport, structuredReport });
+    } catch (error) {
+      console.error('Error in /api/format-report:', error);
+      res.status(error.status || 500).json({ error: error.message });
+    }
+  });
+
+  // The same, streamed as server-sent events while the memo is written:
+  //
+  //   section   { index, title, text } as each memo section is finished
+  //             (the TO/FROM/DATE/RE header first, with a null title)
+  //   done      { formattedReport, structuredReport }, as /api/format-report
+  //             returns them; /api/save-report then submits them
+  //   error     { error }
+  //
+  // Disconnecting cancels the model calls. Problems found before the
+  // stream starts get an ordinary JSON error response.
+  router.post('/api/format-report/stream', llmLimit, requireIntake, async (req, res) => {
+    const controller = new AbortController();
+    res.on('close', () => {
+      if (!res.writableFinished) controller.abort();
+    });
+
+    let stream = null;
+    try {
+      const input = await memoInput(req);
+      const budgetedLlm = caseLlm(req);
+      stream = openEventStream(res);
+
+      let index = 0;
+      const [formattedReport, structuredReport] = await Promise.all([
+        streamMemo(budgetedLlm, input, {
+          signal: controller.signal,
+          onSection: section => stream.send('section', { index: index++, ...section })
+        }),
+        generateStructuredReport(budgetedLlm, input.reportData, input.template, { signal: controller.signal })
+      ]);
+      await storeFormattedReport(db, req.intake.caseId, { formattedReport, structuredReport });
+      await audit.record(req, 'report.format', { caseId: req.intake.caseId, details: { streamed: true } });
+      stream.send('done', { formattedReport, structuredReport });
+      stream.end();
+    } catch (error) {
+      if (controller.signal.aborted) {
+        return audit.record(req, 'report.format', { caseId: req.intake.caseId, outcome: 'cancelled', details: { streamed: true } });
+      }
+      // Stops whichever model call is still running.
+      controller.abort();
+      console.error('Error in /api/format-report/stream:', error);
+      if (!stream) return res.status(error.status || 500).json({ error: error.message });
+      stream.send('error', { error: error.status ? error.message : 'Could not format the report.' });
+      stream.end();
+    }
+  });
+
+  // Submits the report last formatted for this intake, with the client
+  // details given when the interview started. Report content in the body
+  // is ignored.
+  router.post('/api/save-report', requireIntake, async (req, res) => {
+    try {
+      const { caseId } = req.intake;
+      if (req.body.caseId && req.body.caseId !== caseId) {
+        return res.status(403).json({ error: 'This report does not belong to your intake session.' });
+      }
+      const interview = await getInterview(db, caseId);
+      if (!interview || !interview.formattedReport) {
+        return res.status(409).json({ error: 'Format the report before submitting it.' });
+      }
+
+      const template = await templateFor(req, interview);
+      const reportId = await reports.submitIntake({
+        tenantId: req.tenantId,
+        caseId,
+        clientName: interview.client.name,
+        clientEmail: interview.client.email,
+        clientPhone: interview.client.phone,
+        reportContent: interview.formattedReport,
+        structuredReport: interview.structuredReport,
+        template: toTemplateReference(template)
+      });
+
+      await audit.record(req, 'report.save', { caseId, reportId });
+      res.status(200).json({ success: true, documentId: reportId });
+
+      // Notifications go out once the conflict check has run, so they can
+      // report its outcome.
+      runConflictCheck(reportId)
+        .then(() => notifier.notifyIntakeSubmitted(reportId))
+        .catch(error => console.error('Failed to send new intake notifications:', error));
+    } catch (error) {
+      console.error('Error saving report:', error);
+      if (error.status === 409) await audit.record(req, 'report.save', { caseId: req.intake.caseId, outcome: 'denied' });
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to save report.' });
+    }
+  });
+
+  // Checks a newly saved report against every earlier one. Runs after the
+  // client has had its response; a failure is recorded on the report.
+  const runConflictCheck = async (reportId) => {
+    try {
+      const { tenantId, conflicts } = await reports.checkConflicts(reportId);
+      if (conflicts.length) {
+        await audit.recordSystem('conflict.flagged', { tenantId, reportId, details: { matches: conflicts.length } });
+      }
+    } catch (error) {
+      console.error('Conflict check failed:', error);
+      await reports.markConflictCheckFailed(reportId).catch(() => {});
+    }
+  };
+
+  return router;
+};
+
+module.exports = { createIntakeRoutes };
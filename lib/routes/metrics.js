@@ -0,0 +1,35 @@
+// --- Metrics routes ---
+// Aggregate intake, credential and model-call figures for the tenant (see
+// metrics.js), as JSON or CSV.
+
+const express = require('express');
+const { parseMetricsRange, computeMetrics, metricsToCsv } = require('../metrics');
+
+const createMetricsRoutes = ({ db, audit, requireStaff }) => {
+  const router = express.Router();
+
+  router.get('/api/metrics', requireStaff(), async (req, res) => {
+    try {
+      const { range, error: rangeError } = parseMetricsRange(req.query);
+      if (rangeError) return res.status(400).json({ success: false, error: rangeError });
+
+      const metrics = await computeMetrics(db, req.tenantId, range);
+      if (req.query.format === 'csv') {
+        await audit.record(req, 'metrics.export', { details: { range: metrics.range } });
+        res.set('Content-Type', 'text/csv');
+        res.set('Content-Disposition', `attachment; filename="metrics-${metrics.range.from}-to-${metrics.range.to}.csv"`);
+        return res.status(200).send(metricsToCsv(metrics));
+      }
+
+      await audit.record(req, 'metrics.view', { details: { range: metrics.range } });
+      res.status(200).json({ success: true, ...metrics });
+    } catch (error) {
+      console.error('Error computing metrics:', error);
+      res.status(500).json({ success: false, error: 'Failed to compute metrics.' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createMetricsRoutes };
@@ -0,0 +1,204 @@
+// --- Report routes ---
+// Staff access to submitted reports: listing, viewing, exporting,
+// attachments, the case workflow and conflict searches.
+
+const express = require('express');
+const { parseReportFilters, toReportListItem, toAuditedQuery } = require('../reportSearch');
+const { normalizePartyName, findConflicts } = require('../conflictCheck');
+const { EXPORT_FORMATS, exportMemo } = require('../memoExport');
+const { getTenant } = require('../tenants');
+
+// Only these roles can open the recycle bin. Everyone else gets the same
+// 404 for a report in it as for a missing one.
+const RECYCLE_BIN_ROLES = ['admin', 'attorney'];
+
+const hiddenFrom = (staff, report) => Boolean(report.deleted) && !RECYCLE_BIN_ROLES.includes(staff.role);
+
+const createReportRoutes = ({ db, audit, fileStorage, requireStaff, reports }) => {
+  const router = express.Router();
+
+  // The report document if the caller may see it, otherwise null.
+  const findVisible = async (req) => {
+    const reportDoc = await reports.find(req.params.id, req.tenantId);
+    return reportDoc && !hiddenFrom(req.staff, reportDoc.data()) ? reportDoc : null;
+  };
+
+  router.get('/api/reports', requireStaff(), async (req, res) => {
+    try {
+      const { filters, error: filterError } = parseReportFilters(req.query);
+      if (filterError) return res.status(400).json({ error: filterError });
+
+      const { reports: list, nextCursor } = await reports.list({ ...filters, tenantId: req.tenantId });
+      await audit.record(req, 'report.list', { details: { query: toAuditedQuery(req.query), count: list.length } });
+      res.status(200).json({ reports: list, nextCursor });
+    } catch (error) {
+      console.error('Error fetching reports:', error);
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch reports.' });
+    }
+  });
+
+  router.get('/api/reports/deleted', requireStaff(...RECYCLE_BIN_ROLES), async (req, res) => {
+    try {
+      const { filters, error: filterError } = parseReportFilters(req.query);
+      if (filterError) return res.status(400).json({ error: filterError });
+
+      const { reports: list, nextCursor } = await reports.list({ ...filters, tenantId: req.tenantId, deleted: true });
+      await audit.record(req, 'report.list_deleted', { details: { query: toAuditedQuery(req.query), count: list.length } });
+      res.status(200).json({ reports: list, nextCursor });
+    } catch (error) {
+      console.error('Error fetching the recycle bin:', error);
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch deleted reports.' });
+    }
+  });
+
+  router.delete('/api/reports/:id', requireStaff(...RECYCLE_BIN_ROLES), async (req, res) => {
+    try {
+      const { id } = req.params;
+      if (!id) return res.status(400).json({ error: 'Document ID is required.' });
+      await reports.delete(id, req.staff);
+      await audit.record(req, 'report.delete', { reportId: id });
+      res.status(200).json({ success: true, message: 'Report moved to the recycle bin.' });
+    } catch (error) {
+      console.error('Error deleting report:', error);
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to delete report.' });
+    }
+  });
+
+  router.post('/api/reports/:id/restore', requireStaff(...RECYCLE_BIN_ROLES), async (req, res) => {
+    try {
+      await reports.restore(req.params.id, req.staff);
+      await audit.record(req, 'report.restore', { reportId: req.params.id });
+      res.status(200).json({ success: true, message: 'Report restored.' });
+    } catch (error) {
+      console.error('Error restoring report:', error);
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to restore report.' });
+    }
+  });
+
+  router.get('/api/reports/:id', requireStaff(), async (req, res) => {
+    try {
+      const reportDoc = await findVisible(req);
+      if (!reportDoc) return res.status(404).json({ error: 'Report not found.' });
+      await audit.record(req, 'report.view', { reportId: reportDoc.id, caseId: reportDoc.data().caseNumber });
+      res.status(200).json(toReportListItem(reportDoc));
+    } catch (error) {
+      console.error('Error fetching report:', error);
+      res.status(500).json({ error: 'Failed to fetch report.' });
+    }
+  });
+
+  router.get('/api/reports/:id/export', requireStaff(), async (req, res) => {
+    try {
+      const format = req.query.format || 'pdf';
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be one of: ${EXPORT_FORMATS.join(', ')}.` });
+      }
+
+      const report = await reports.findDecrypted(req.params.id, req.tenantId);
+      if (!report || hiddenFrom(req.staff, report)) return res.status(404).json({ error: 'Report not found.' });
+
+      const tenant = await getTenant(db, req.tenantId);
+      const { buffer, contentType, filename } = await exportMemo(report, format, tenant.branding);
+      await audit.record(req, 'report.export', { reportId: report.id, caseId: report.caseNumber, details: { format } });
+      res.set('Content-Type', contentType);
+      res.set('Content-Disposition', `attachment; filename="${filename}"`);
+      res.status(200).send(buffer);
+    } catch (error) {
+      console.error('Error exporting report:', error);
+      res.status(500).json({ error: 'Failed to export report.' });
+    }
+  });
+
+  router.get('/api/reports/:id/attachments/:attachmentId/download', requireStaff(), async (req, res) => {
+    try {
+      const upload = (await findVisible(req)) && await reports.findAttachment(req.params.id, req.params.attachmentId, req.tenantId);
+      if (!upload) return res.status(404).json({ error: 'Attachment not found.' });
+
+      await audit.record(req, 'attachment.download', { reportId: req.params.id, caseId: upload.caseId, details: { attachmentId: upload.id } });
+      res.set('Content-Type', upload.contentType);
+      res.set('Content-Disposition', `attachment; filename="${upload.originalName.replace(/"/g, '')}"`);
+      res.set('X-Content-Type-Options', 'nosniff');
+      fileStorage.createReadStream(upload.storageKey)
+        .on('error', (error) => {
+          console.error('Error streaming attachment:', error);
+          if (!res.headersSent) res.status(500).json({ error: 'Failed to download attachment.' });
+          else res.destroy(error);
+        })
+        .pipe(res);
+    } catch (error) {
+      console.error('Error downloading attachment:', error);
+      res.status(500).json({ error: 'Failed to download attachment.' });
+    }
+  });
+
+  router.patch('/api/reports/:id', requireStaff(), async (req, res) => {
+    try {
+      const { status, assignedTo, note } = req.body;
+      if (assignedTo !== undefined && !['admin', 'attorney'].includes(req.staff.role)) {
+        return res.status(403).json({ error: 'Only attorneys and admins can assign cases.' });
+      }
+
+      const report = await reports.updateCase(req.params.id, { status, assignedTo, note }, req.staff);
+      await audit.record(req, 'report.update', {
+        reportId: req.params.id,
+        caseId: report.caseNumber,
+        details: { status, assignedTo, noteAdded: note !== undefined }
+      });
+      res.status(200).json({ success: true, status: report.status || 'new', assignedTo: report.assignedTo || null });
+    } catch (error) {
+      console.error('Error updating report:', error);
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to update report.' });
+    }
+  });
+
+  router.get('/api/reports/:id/history', requireStaff(), async (req, res) => {
+    try {
+      if (!(await findVisible(req))) return res.status(404).json({ error: 'Report not found.' });
+      const history = await reports.listHistory(req.params.id, req.tenantId);
+      await audit.record(req, 'report.history_view', { reportId: req.params.id });
+      res.status(200).json({ history });
+    } catch (error) {
+      console.error('Error fetching report history:', error);
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch report history.' });
+    }
+  });
+
+  router.get('/api/reports/:id/notes', requireStaff(), async (req, res) => {
+    try {
+      if (!(await findVisible(req))) return res.status(404).json({ error: 'Report not found.' });
+      const notes = await reports.listNotes(req.params.id, req.tenantId);
+      await audit.record(req, 'report.notes_view', { reportId: req.params.id });
+      res.status(200).json({ notes });
+    } catch (error) {
+      console.error('Error fetching report notes:', error);
+      res.status(error.status || 500).json({ error: error.status ? error.message : 'Failed to fetch report notes.' });
+    }
+  });
+
+  // --- CONFLICT SEARCH ---
+
+  router.post('/api/conflicts/search', requireStaff(), async (req, res) => {
+    try {
+      const { names, threshold } = req.body;
+      if (!Array.isArray(names) || !names.length || names.length > 50 || !names.every(name => typeof name === 'string' && normalizePartyName(name))) {
+        return res.status(400).json({ error: 'names must be a list of 1 to 50 names.' });
+      }
+      const minScore = threshold === undefined ? undefined : Number(threshold);
+      if (minScore !== undefined && !(minScore > 0 && minScore <= 1)) {
+        return res.status(400).json({ error: 'threshold must be between 0 and 1.' });
+      }
+
+      const parties = names.map(name => ({ name: name.trim(), normalized: normalizePartyName(name), type: 'search' }));
+      const matches = await findConflicts(db, parties, { tenantId: req.tenantId, threshold: minScore });
+      await audit.record(req, 'conflict.search', { details: { nameCount: names.length, matches: matches.length } });
+      res.status(200).json({ matches });
+    } catch (error) {
+      console.error('Error running conflict search:', error);
+      res.status(500).json({ error: 'Failed to run conflict search.' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createReportRoutes };
@@ -0,0 +1,91 @@
+// --- Staff routes ---
+// Staff login and, for admins, managing the firm's staff accounts.
+
+const express = require('express');
+const { admin } = require('../firebase');
+const { issueStaffToken } = require('../auth');
+const { toPublicUser, createStaffUser, updateStaffUser, authenticateStaffUser } = require('../staffUsers');
+const { tenantOf, belongsToTenant, toPublicBranding, getTenant } = require('../tenants');
+const { blindIndex } = require('../fieldEncryption');
+
+const createStaffRoutes = ({ db, audit, rateLimit, requireStaff }) => {
+  const router = express.Router();
+
+  router.post('/api/internal-login', rateLimit('staffLogin'), rateLimit('staffLoginAccount'), async (req, res) => {
+    try {
+      const { email, password } = req.body;
+      if (!email || !password) {
+        return res.status(400).json({ success: false, error: 'Email and password are required.' });
+      }
+
+      const userDoc = await authenticateStaffUser(db, email, password);
+      const tenant = userDoc ? await getTenant(db, tenantOf(userDoc.data())) : null;
+      if (!userDoc || !tenant || !tenant.active) {
+        // Hashed, so attempts on one address can be matched without
+        // recording whatever was typed.
+        await audit.record(req, 'staff.login', { outcome: 'failure', details: { emailHash: blindIndex(String(email).trim().toLowerCase()) } });
+        return res.status(401).json({ success: false, error: 'Incorrect email or password.' });
+      }
+
+      await userDoc.ref.update({ lastLoginAt: admin.firestore.FieldValue.serverTimestamp() });
+      const { name, role } = userDoc.data();
+      await audit.record(req, 'staff.login', { actor: { type: 'staff', id: userDoc.id, name, role }, tenantId: tenant.id });
+      res.status(200).json({ success: true, token: issueStaffToken(userDoc), user: toPublicUser(userDoc), tenant: toPublicBranding(tenant) });
+    } catch (error) {
+      console.error('Error during staff login:', error);
+      res.status(500).json({ success: false, error: 'Server error during login.' });
+    }
+  });
+
+  // --- STAFF USER MANAGEMENT (admin only) ---
+
+  router.get('/api/staff-users', requireStaff('admin'), async (req, res) => {
+    try {
+      const snapshot = await db.collection('staff_users').where('tenantId', '==', req.tenantId).orderBy('email').get();
+      await audit.record(req, 'staff_user.list');
+      res.status(200).json({ success: true, users: snapshot.docs.map(toPublicUser) });
+    } catch (error) {
+      console.error('Error fetching staff users:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch staff users.' });
+    }
+  });
+
+  router.post('/api/staff-users', requireStaff('admin'), async (req, res) => {
+    try {
+      const { email, name, role, password } = req.body;
+      const user = await createStaffUser(db, { tenantId: req.tenantId, email, name, role, password });
+      await audit.record(req, 'staff_user.create', { details: { userId: user.id, email: user.email, role: user.role } });
+      res.status(201).json({ success: true, user });
+    } catch (error) {
+      console.error('Error creating staff user:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to create staff user.' });
+    }
+  });
+
+  router.patch('/api/staff-users/:id', requireStaff('admin'), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const userDoc = await db.collection('staff_users').doc(id).get();
+      if (!userDoc.exists || !belongsToTenant(userDoc.data(), req.tenantId)) {
+        return res.status(404).json({ success: false, error: 'Staff user not found.' });
+      }
+      if (id === req.staff.sub && (req.body.role !== undefined || req.body.active === false)) {
+        return res.status(400).json({ success: false, error: 'You cannot change your own role or deactivate yourself.' });
+      }
+
+      const { name, role, password, active, onDuty } = req.body;
+      const user = await updateStaffUser(db, id, { name, role, password, active, onDuty });
+      await audit.record(req, 'staff_user.update', {
+        details: { userId: id, name, role, active, onDuty, passwordChanged: password !== undefined }
+      });
+      res.status(200).json({ success: true, user });
+    } catch (error) {
+      console.error('Error updating staff user:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to update staff user.' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createStaffRoutes };
@@ -0,0 +1,140 @@
+// --- Tenant routes ---
+// The firm's branding and settings, and its intake templates.
+
+const express = require('express');
+const { toPublicBranding, toTenantSettings, getTenant, updateTenant, rotateWebhookSecret } = require('../tenants');
+const {
+  listTemplates,
+  getTemplate,
+  listTemplateVersions,
+  createTemplate,
+  updateTemplate,
+  archiveTemplate
+} = require('../intakeTemplates');
+
+const createTenantRoutes = ({ db, audit, requireStaff }) => {
+  const router = express.Router();
+
+  // --- TENANT SETTINGS ---
+
+  // Public, so the intake app can show the firm's branding on its login page.
+  router.get('/api/tenants/:tenantId/branding', async (req, res) => {
+    try {
+      const tenant = await getTenant(db, req.params.tenantId);
+      if (!tenant || !tenant.active) return res.status(404).json({ success: false, error: 'Firm not found.' });
+      res.status(200).json({ success: true, tenant: toPublicBranding(tenant) });
+    } catch (error) {
+      console.error('Error fetching tenant branding:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch firm details.' });
+    }
+  });
+
+  router.get('/api/tenant', requireStaff(), async (req, res) => {
+    try {
+      res.status(200).json({ success: true, tenant: toTenantSettings(await getTenant(db, req.tenantId)) });
+    } catch (error) {
+      console.error('Error fetching tenant settings:', error);
+      res.status(500).json({ success: false, error: 'Failed to fetch firm settings.' });
+    }
+  });
+
+  router.patch('/api/tenant', requireStaff('admin'), async (req, res) => {
+    try {
+      const { name, branding, memo, notifications } = req.body;
+      const before = await getTenant(db, req.tenantId);
+      const tenant = await updateTenant(db, req.tenantId, { name, branding, memo, notifications });
+      await audit.record(req, 'tenant.update', { details: { fields: Object.keys(req.body) } });
+      // A secret created by this update is shown once, like a rotated one.
+      const webhookSecret = !before.webhookSecret && tenant.webhookSecret ? tenant.webhookSecret : undefined;
+      res.status(200).json({ success: true, tenant: toTenantSettings(tenant), webhookSecret });
+    } catch (error) {
+      console.error('Error updating tenant settings:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to update firm settings.' });
+    }
+  });
+
+  router.post('/api/tenant/webhook-secret', requireStaff('admin'), async (req, res) => {
+    try {
+      const webhookSecret = await rotateWebhookSecret(db, req.tenantId);
+      await audit.record(req, 'tenant.rotate_webhook_secret');
+      res.status(200).json({ success: true, webhookSecret });
+    } catch (error) {
+      console.error('Error rotating the webhook secret:', error);
+      res.status(500).json({ success: false, error: 'Failed to rotate the webhook secret.' });
+    }
+  });
+
+  // --- INTAKE TEMPLATES ---
+
+  router.get('/api/intake-templates', requireStaff(), async (req, res) => {
+    try {
+      const templates = await listTemplates(db, req.tenantId, { includeArchived: req.query.includeArchived === 'true' });
+      res.status(200).json({ success: true, templates });
+    } catch (error) {
+      console.error('Error listing intake templates:', error);
+      res.status(500).json({ success: false, error: 'Failed to list intake templates.' });
+    }
+  });
+
+  router.get('/api/intake-templates/:id', requireStaff(), async (req, res) => {
+    try {
+      const version = req.query.version === undefined ? undefined : Number(req.query.version);
+      if (version !== undefined && !(Number.isInteger(version) && version > 0)) {
+        return res.status(400).json({ success: false, error: 'version must be a positive integer.' });
+      }
+      const template = await getTemplate(db, req.tenantId, req.params.id, version);
+      res.status(200).json({ success: true, template });
+    } catch (error) {
+      console.error('Error fetching intake template:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to fetch the intake template.' });
+    }
+  });
+
+  router.get('/api/intake-templates/:id/versions', requireStaff(), async (req, res) => {
+    try {
+      const versions = await listTemplateVersions(db, req.tenantId, req.params.id);
+      res.status(200).json({ success: true, versions });
+    } catch (error) {
+      console.error('Error listing intake template versions:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to list template versions.' });
+    }
+  });
+
+  router.post('/api/intake-templates', requireStaff('admin'), async (req, res) => {
+    try {
+      const template = await createTemplate(db, req.tenantId, req.body, req.staff);
+      await audit.record(req, 'template.create', { details: { templateId: template.id, name: template.name, practiceArea: template.practiceArea } });
+      res.status(201).json({ success: true, template });
+    } catch (error) {
+      console.error('Error creating intake template:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to create the intake template.' });
+    }
+  });
+
+  // Saves the body as a new version; earlier versions stay available.
+  router.put('/api/intake-templates/:id', requireStaff('admin'), async (req, res) => {
+    try {
+      const template = await updateTemplate(db, req.tenantId, req.params.id, req.body, req.staff);
+      await audit.record(req, 'template.update', { details: { templateId: template.id, version: template.version } });
+      res.status(200).json({ success: true, template });
+    } catch (error) {
+      console.error('Error updating intake template:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to update the intake template.' });
+    }
+  });
+
+  router.delete('/api/intake-templates/:id', requireStaff('admin'), async (req, res) => {
+    try {
+      await archiveTemplate(db, req.tenantId, req.params.id, req.staff);
+      await audit.record(req, 'template.archive', { details: { templateId: req.params.id } });
+      res.status(200).json({ success: true, message: 'Template archived.' });
+    } catch (error) {
+      console.error('Error archiving intake template:', error);
+      res.status(error.status || 500).json({ success: false, error: error.status ? error.message : 'Failed to archive the intake template.' });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createTenantRoutes };
@@ -0,0 +1,31 @@
+// --- Server-sent events ---
+// Turns a response into an event stream. A comment line goes out every 15
+// seconds so proxies don't drop the connection while nothing is being sent.
+
+const HEARTBEAT_MS = 15 * 1000;
+
+const openEventStream = (res) => {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  res.on('close', () => clearInterval(heartbeat));
+
+  return {
+    send(event, data) {
+      if (!res.writableEnded) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+
+    end() {
+      clearInterval(heartbeat);
+      if (!res.writableEnded) res.end();
+    }
+  };
+};
+
+module.exports = { openEventStream };
@@ -0,0 +1,116 @@
+// --- Staff user accounts ---
+// Staff accounts live in the `staff_users` collection. Passwords are hashed
+// with bcrypt, the same way intake passcodes are. Each account belongs to
+// one tenant; emails are unique across the deployment so login can find the
+// tenant from the email alone.
+//
+// Uniqueness is enforced with a `staff_emails` document per address, keyed
+// by a hash of the normalized email and written in the same transaction as
+// the account, so two concurrent creates can't both claim an email.
+//
+// Errors the caller can fix carry an HTTP `status`: 400 for invalid input,
+// 409 for an email that is already taken.
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { admin } = require('./firebase');
+const { DEFAULT_TENANT_ID } = require('./tenants');
+
+const ROLES = ['admin', 'attorney', 'paralegal'];
+const SALT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 12;
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const normalizeEmail = (email) => String(email || '').trim().toLowerCase();
+
+const emailRef = (db, email) => db.collection('staff_emails')
+  .doc(crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex'));
+
+// Strips the password hash so a user can be sent back to the client.
+const toPublicUser = (doc) => {
+  const { hashedPassword, ...user } = doc.data();
+  return { id: doc.id, ...user };
+};
+
+const staffUserByEmailQuery = (db, email) => db.collection('staff_users')
+  .where('email', '==', normalizeEmail(email))
+  .limit(1);
+
+const findStaffUserByEmail = async (db, email) => {
+  const snapshot = await staffUserByEmailQuery(db, email).get();
+  return snapshot.empty ? null : snapshot.docs[0];
+};
+
+const validateStaffUserInput = ({ email, name, role, password }, { requirePassword = true } = {}) => {
+  if (email !== undefined && !normalizeEmail(email).includes('@')) return 'A valid email is required.';
+  if (name !== undefined && !String(name).trim()) return 'Name cannot be empty.';
+  if (role !== undefined && !ROLES.includes(role)) return `Role must be one of: ${ROLES.join(', ')}.`;
+  if ((requirePassword || password !== undefined) && String(password || '').length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`;
+  }
+  return null;
+};
+
+const createStaffUser = async (db, { tenantId = DEFAULT_TENANT_ID, email, name, role, password }) => {
+  if (!email || !name || !role) throw httpError(400, 'Email, name and role are required.');
+  const validationError = validateStaffUserInput({ email, name, role, password });
+  if (validationError) throw httpError(400, validationError);
+
+  const hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+  const userRef = db.collection('staff_users').doc();
+  const uniqueRef = emailRef(db, email);
+  await db.runTransaction(async (transaction) => {
+    // Accounts created before `staff_emails` existed only show up in the
+    // query.
+    const [claimed, existing] = await Promise.all([transaction.get(uniqueRef), transaction.get(staffUserByEmailQuery(db, email))]);
+    if (claimed.exists || !existing.empty) throw httpError(409, 'A staff user with this email already exists.');
+
+    transaction.create(uniqueRef, { userId: userRef.id, tenantId });
+    transaction.set(userRef, {
+      tenantId,
+      email: normalizeEmail(email),
+      name: String(name).trim(),
+      role,
+      hashedPassword,
+      active: true,
+      onDuty: false,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+  return toPublicUser(await userRef.get());
+};
+
+const updateStaffUser = async (db, id, { name, role, password, active, onDuty }) => {
+  const validationError = validateStaffUserInput({ name, role, password }, { requirePassword: false });
+  if (validationError) throw httpError(400, validationError);
+
+  const updates = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+  if (name !== undefined) updates.name = String(name).trim();
+  if (role !== undefined) updates.role = role;
+  if (active !== undefined) updates.active = Boolean(active);
+  if (onDuty !== undefined) updates.onDuty = Boolean(onDuty);
+  if (password !== undefined) updates.hashedPassword = await bcrypt.hash(password, SALT_ROUNDS);
+
+  const userRef = db.collection('staff_users').doc(id);
+  await userRef.update(updates);
+  return toPublicUser(await userRef.get());
+};
+
+// Returns the matching user document, or null when the email/password pair
+// is wrong or the account has been deactivated.
+const authenticateStaffUser = async (db, email, password) => {
+  const userDoc = await findStaffUserByEmail(db, email);
+  if (!userDoc || !userDoc.data().active) return null;
+  const isMatch = await bcrypt.compare(String(password), userDoc.data().hashedPassword);
+  return isMatch ? userDoc : null;
+};
+
+module.exports = {
+  ROLES,
+  toPublicUser,
+  createStaffUser,
+  updateStaffUser,
+  authenticateStaffUser,
+  validateStaffUserInput
+};
@@ -0,0 +1,24 @@
+// --- Datastore ---
+// Where the app's documents are kept, chosen with STORAGE_BACKEND:
+//
+//   firestore   (default) Cloud Firestore, using the service account key
+//   local       in-memory, saved to LOCAL_DATA_FILE if set; for running
+//               and testing the server without a Firebase project
+//
+// Both expose the Firestore API subset the app uses, so lib/ modules work
+// unchanged on either.
+
+const { initializeFirebase } = require('../firebase');
+const { createLocalDatastore } = require('./local');
+
+const BACKENDS = {
+  firestore: () => initializeFirebase(),
+  local: () => createLocalDatastore({ file: process.env.LOCAL_DATA_FILE || null })
+};
+
+const createDatastore = (backend = process.env.STORAGE_BACKEND || 'firestore') => {
+  if (!BACKENDS[backend]) throw new Error(`Unknown storage backend "${backend}".`);
+  return BACKENDS[backend]();
+};
+
+module.exports = { createDatastore };
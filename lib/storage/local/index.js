@@ -0,0 +1,260 @@
+// --- Local datastore ---
+// An in-process stand-in for Firestore implementing the part of its API the
+// app uses: collection/doc references, subcollections, get/set/update/
+// create/delete, where/orderBy/limit/startAfter/select/count queries,
+// collection group queries, batches, transactions and recursiveDelete. It lets the server and the
+// maintenance scripts run without a Firebase project, e.g. for development
+// or integration tests.
+//
+// Data is kept in memory. With a `file`, it is loaded from and saved to
+// that JSON file after every write, so it survives restarts. Transactions
+// run one at a time, so they never conflict. Only meant for a single
+// process and modest data volumes.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const {
+  Timestamp,
+  firestoreError,
+  copyValue,
+  resolveValue,
+  mergeValue,
+  updateValue,
+  serialize,
+  deserialize
+} = require('./values');
+const { checkOperator, runQuery } = require('./query');
+
+const AUTO_ID_CHARS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+
+const autoId = () => Array.from(crypto.randomBytes(20), byte => AUTO_ID_CHARS[byte % AUTO_ID_CHARS.length]).join('');
+
+// gRPC status codes, as on Firestore errors.
+const NOT_FOUND = 5;
+const ALREADY_EXISTS = 6;
+
+const createLocalDatastore = ({ file = null } = {}) => {
+  // collection path -> Map(document id -> data)
+  const collections = new Map();
+
+  if (file && fs.existsSync(file)) {
+    const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+    Object.entries(saved.collections || {}).forEach(([collectionPath, docs]) => {
+      collections.set(collectionPath, new Map(Object.entries(docs).map(([id, data]) => [id, deserialize(data)])));
+    });
+  }
+
+  const persist = () => {
+    if (!file) return;
+    const saved = { collections: {} };
+    collections.forEach((docs, collectionPath) => {
+      if (docs.size) saved.collections[collectionPath] = Object.fromEntries([...docs].map(([id, data]) => [id, serialize(data)]));
+    });
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const tempFile = `${file}.tmp`;
+    fs.writeFileSync(tempFile, JSON.stringify(saved));
+    fs.renameSync(tempFile, file);
+  };
+
+  const readDoc = (ref) => {
+    const docs = collections.get(ref.parent.path);
+    return docs && docs.has(ref.id) ? docs.get(ref.id) : undefined;
+  };
+
+  // --- Snapshots ---
+
+  const documentSnapshot = (ref, data) => ({
+    id: ref.id,
+    ref,
+    exists: data !== undefined,
+    data: () => (data === undefined ? undefined : copyValue(data)),
+    get: (fieldPath) => (data === undefined ? undefined : copyValue(fieldPath.split('.').reduce((value, part) => (value ? value[part] : undefined), data)))
+  });
+
+  const querySnapshot = (docs) => ({
+    docs,
+    size: docs.length,
+    empty: docs.length === 0,
+    forEach: (callback) => docs.forEach(callback)
+  });
+
+  // --- Writes ---
+  // Every write goes through commit(), which applies a list of operations
+  // all-or-nothing and then saves.
+
+  const applyOperation = (staged, { type, ref, data, options }, now) => {
+    const key = ref.path;
+    const existing = staged.has(key) ? staged.get(key).data : readDoc(ref);
+    let next;
+    switch (type) {
+      case 'create':
+        if (existing !== undefined) throw firestoreError(ALREADY_EXISTS, `Document already exists: ${ref.path}`);
+        next = resolveValue(copyValue(data), now);
+        break;
+      case 'set':
+        next = options && options.merge ? mergeValue(existing, copyValue(data), now) : resolveValue(copyValue(data), now);
+        break;
+      case 'update':
+        if (existing === undefined) throw firestoreError(NOT_FOUND, `No document to update: ${ref.path}`);
+        next = updateValue(existing, data, now);
+        break;
+      case 'delete':
+        next = undefined;
+        break;
+      default:
+        throw new Error(`Unknown write type "${type}".`);
+    }
+    staged.set(key, { ref, data: next });
+  };
+
+  const commit = (operations) => {
+    const now = Timestamp.now();
+    const staged = new Map();
+    operations.forEach(operation => applyOperation(staged, operation, now));
+
+    staged.forEach(({ ref, data }) => {
+      if (!collections.has(ref.parent.path)) collections.set(ref.parent.path, new Map());
+      const docs = collections.get(ref.parent.path);
+      if (data === undefined) docs.delete(ref.id);
+      else docs.set(ref.id, data);
+    });
+    if (staged.size) persist();
+  };
+
+  // --- Queries ---
+
+  // `source` is a collection reference, or `{ group }` for every collection
+  // with that id. Group queries order by document path, as Firestore does.
+  const createQuery = (source, spec = { where: [], orderBy: [], limit: null, startAfter: null, select: null }) => {
+    const refine = (changes) => createQuery(source, { ...spec, ...changes });
+
+    const sourceDocs = () => {
+      if (!source.group) {
+        return [...(collections.get(source.path) || new Map())].map(([id, data]) => ({ id, data, path: `${source.path}/${id}` }));
+      }
+      return [...collections]
+        .filter(([collectionPath]) => collectionPath.split('/').pop() === source.group)
+        .flatMap(([collectionPath, docs]) => [...docs].map(([id, data]) => ({ id: `${collectionPath}/${id}`, data, path: `${collectionPath}/${id}` })));
+    };
+
+    const execute = () => runQuery(sourceDocs(), spec).map(({ path: docPath, data }) => documentSnapshot(docRef(docPath), data));
+
+    return {
+      where(field, op, value) {
+        checkOperator(op);
+        return refine({ where: [...spec.where, { field, op, value }] });
+      },
+      orderBy(field, direction = 'asc') {
+        return refine({ orderBy: [...spec.orderBy, { field, direction }] });
+      },
+      limit(count) {
+        return refine({ limit: count });
+      },
+      startAfter(snapshot) {
+        if (!snapshot || typeof snapshot.data !== 'function') {
+          throw new Error('The local datastore only supports startAfter() with a document snapshot.');
+        }
+        return refine({ startAfter: { id: source.group ? snapshot.ref.path : snapshot.id, data: snapshot.data() || {} } });
+      },
+      select(...fields) {
+        return refine({ select: fields });
+      },
+      count() {
+        return { get: async () => ({ data: () => ({ count: execute().length }) }) };
+      },
+      async get() {
+        return querySnapshot(execute());
+      },
+      execute
+    };
+  };
+
+  // --- References ---
+
+  const collectionRef = (collectionPath) => {
+    const segments = collectionPath.split('/');
+    const collection = {
+      id: segments[segments.length - 1],
+      path: collectionPath,
+      doc: (id = autoId()) => docRef(`${collectionPath}/${id}`)
+    };
+    return Object.assign(collection, createQuery(collection));
+  };
+
+  const docRef = (docPath) => {
+    const segments = docPath.split('/');
+    const ref = {
+      id: segments[segments.length - 1],
+      path: docPath,
+      parent: null,
+      collection: (name) => collectionRef(`${docPath}/${name}`),
+      get: async () => documentSnapshot(ref, readDoc(ref)),
+      create: async (data) => commit([{ type: 'create', ref, data }]),
+      set: async (data, options) => commit([{ type: 'set', ref, data, options }]),
+      update: async (data) => commit([{ type: 'update', ref, data }]),
+      delete: async () => commit([{ type: 'delete', ref }])
+    };
+    ref.parent = { id: segments[segments.length - 2], path: segments.slice(0, -1).join('/') };
+    return ref;
+  };
+
+  // Collects writes for commit(); shared by batches and transactions.
+  const writeBuffer = () => {
+    const operations = [];
+    const buffer = {
+      operations,
+      create: (ref, data) => { operations.push({ type: 'create', ref, data }); return buffer; },
+      set: (ref, data, options) => { operations.push({ type: 'set', ref, data, options }); return buffer; },
+      update: (ref, data) => { operations.push({ type: 'update', ref, data }); return buffer; },
+      delete: (ref) => { operations.push({ type: 'delete', ref }); return buffer; }
+    };
+    return buffer;
+  };
+
+  // Transactions are queued so each sees the previous one's writes.
+  let transactionQueue = Promise.resolve();
+
+  return {
+    backend: 'local',
+
+    collection: collectionRef,
+
+    collectionGroup: (collectionId) => createQuery({ group: collectionId }),
+
+    batch() {
+      const buffer = writeBuffer();
+      return { ...buffer, commit: async () => commit(buffer.operations) };
+    },
+
+    runTransaction(updateFunction) {
+      const run = async () => {
+        const buffer = writeBuffer();
+        const transaction = {
+          ...buffer,
+          get: async (refOrQuery) => (typeof refOrQuery.execute === 'function'
+            ? querySnapshot(refOrQuery.execute())
+            : documentSnapshot(refOrQuery, readDoc(refOrQuery)))
+        };
+        const result = await updateFunction(transaction);
+        commit(buffer.operations);
+        return result;
+      };
+      const result = transactionQueue.then(run);
+      transactionQueue = result.catch(() => {});
+      return result;
+    },
+
+    // Deletes a document and everything in its subcollections.
+    async recursiveDelete(ref) {
+      const prefix = `${ref.path}/`;
+      [...collections.keys()]
+        .filter(collectionPath => collectionPath.startsWith(prefix))
+        .forEach(collectionPath => collections.delete(collectionPath));
+      if (ref.parent) commit([{ type: 'delete', ref }]);
+      else persist();
+    }
+  };
+};
+
+module.exports = { createLocalDatastore };
@@ -0,0 +1,82 @@
+// --- Local datastore queries ---
+// Evaluates a query description against the documents of one collection
+// with Firestore's semantics: documents missing a filtered or ordered field
+// are left out, results are ordered by the orderBy fields and then by
+// document id, and cursors are positioned by field values.
+
+const { getField, typeRank, compareValues, valuesEqual } = require('./values');
+
+const DOCUMENT_ID = '__name__';
+
+const fieldOf = (doc, fieldPath) => (fieldPath === DOCUMENT_ID ? doc.id : getField(doc.data, fieldPath));
+
+// Range filters only match values of the same type, as in Firestore.
+const sameType = (a, b) => typeRank(a) === typeRank(b);
+
+const FILTERS = {
+  '==': (actual, expected) => valuesEqual(actual, expected),
+  '!=': (actual, expected) => actual !== null && !valuesEqual(actual, expected),
+  '<': (actual, expected) => sameType(actual, expected) && compareValues(actual, expected) < 0,
+  '<=': (actual, expected) => sameType(actual, expected) && compareValues(actual, expected) <= 0,
+  '>': (actual, expected) => sameType(actual, expected) && compareValues(actual, expected) > 0,
+  '>=': (actual, expected) => sameType(actual, expected) && compareValues(actual, expected) >= 0,
+  'array-contains': (actual, expected) => Array.isArray(actual) && actual.some(item => valuesEqual(item, expected)),
+  in: (actual, expected) => expected.some(item => valuesEqual(actual, item))
+};
+
+const checkOperator = (op) => {
+  if (!FILTERS[op]) throw new Error(`The local datastore does not support the "${op}" operator.`);
+};
+
+// Explicit orderings plus the implicit document id ordering, which follows
+// the direction of the last explicit one.
+const orderingsOf = (query) => {
+  const orderings = [...query.orderBy];
+  if (!orderings.some(ordering => ordering.field === DOCUMENT_ID)) {
+    const last = orderings[orderings.length - 1];
+    orderings.push({ field: DOCUMENT_ID, direction: last ? last.direction : 'asc' });
+  }
+  return orderings;
+};
+
+const compareByOrderings = (orderings, aValues, bValues) => {
+  for (let i = 0; i < orderings.length; i++) {
+    const difference = compareValues(aValues[i], bValues[i]);
+    if (difference) return orderings[i].direction === 'desc' ? -difference : difference;
+  }
+  return 0;
+};
+
+// `docs` is a list of `{ id, data }`. Returns the matching `{ id, data }`
+// entries in order, after the cursor and limit are applied.
+const runQuery = (docs, query) => {
+  const orderings = orderingsOf(query);
+
+  const matching = docs
+    .filter(doc => query.where.every(({ field, op, value }) => {
+      const actual = fieldOf(doc, field);
+      return actual !== undefined && FILTERS[op](actual, value);
+    }))
+    .filter(doc => query.orderBy.every(({ field }) => fieldOf(doc, field) !== undefined))
+    .map(doc => ({ doc, values: orderings.map(({ field }) => fieldOf(doc, field)) }))
+    .sort((a, b) => compareByOrderings(orderings, a.values, b.values));
+
+  let results = matching;
+  if (query.startAfter) {
+    const cursorValues = orderings.map(({ field }) => fieldOf(query.startAfter, field));
+    results = results.filter(({ values }) => compareByOrderings(orderings, values, cursorValues) > 0);
+  }
+  if (query.limit !== null) results = results.slice(0, query.limit);
+
+  return results.map(({ doc }) => {
+    if (!query.select) return doc;
+    const selected = {};
+    query.select.forEach((field) => {
+      const value = getField(doc.data, field);
+      if (value !== undefined) selected[field] = value;
+    });
+    return { ...doc, data: selected };
+  });
+};
+
+module.exports = { DOCUMENT_ID, checkOperator, runQuery };
@@ -0,0 +1,165 @@
+// --- Local datastore values ---
+// Copying, comparing and (de)serializing document data the way Firestore
+// does, for the subset of types the app stores: null, booleans, numbers,
+// strings, Timestamps, arrays and maps. FieldValue sentinels
+// (serverTimestamp, delete, increment) are resolved when a write is applied.
+
+const { admin } = require('../../firebase');
+
+const { FieldValue, Timestamp } = admin.firestore;
+
+const firestoreError = (code, message) => Object.assign(new Error(message), { code });
+
+const isMap = (value) => value !== null
+  && typeof value === 'object'
+  && !Array.isArray(value)
+  && !(value instanceof Timestamp)
+  && !(value instanceof FieldValue);
+
+const sentinelName = (value) => (value instanceof FieldValue ? value.methodName : null);
+
+// Deep copy, so callers can't change stored data through a snapshot.
+// Rejects undefined like Firestore does.
+const copyValue = (value, path = 'data') => {
+  if (value === undefined) throw new Error(`Cannot use "undefined" as a Firestore value (found in field "${path}").`);
+  if (Array.isArray(value)) return value.map((item, index) => copyValue(item, `${path}.${index}`));
+  if (isMap(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, copyValue(item, `${path}.${key}`)]));
+  }
+  return value;
+};
+
+// Resolves the sentinel (if any) for a field whose current value is
+// `existing`. Returns `{ remove: true }` for FieldValue.delete().
+const resolveSentinel = (value, existing, now) => {
+  switch (sentinelName(value)) {
+    case 'FieldValue.serverTimestamp':
+      return { value: now };
+    case 'FieldValue.delete':
+      return { remove: true };
+    case 'FieldValue.increment':
+      return { value: (typeof existing === 'number' ? existing : 0) + value.operand };
+    case null:
+      return null;
+    default:
+      throw new Error(`${sentinelName(value)} is not supported by the local datastore.`);
+  }
+};
+
+// Replaces sentinels nested anywhere in new data (set without merge).
+const resolveValue = (value, now) => {
+  const sentinel = resolveSentinel(value, undefined, now);
+  if (sentinel) {
+    if (sentinel.remove) throw new Error('FieldValue.delete() can only be used with update() or set() with merge.');
+    return sentinel.value;
+  }
+  if (Array.isArray(value)) return value.map(item => resolveValue(item, now));
+  if (isMap(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveValue(item, now)]));
+  return value;
+};
+
+// set(data, { merge: true }): maps are merged key by key.
+const mergeValue = (existing, incoming, now) => {
+  const result = isMap(existing) ? { ...existing } : {};
+  Object.entries(incoming).forEach(([key, value]) => {
+    const sentinel = resolveSentinel(value, result[key], now);
+    if (sentinel && sentinel.remove) delete result[key];
+    else if (sentinel) result[key] = sentinel.value;
+    else if (isMap(value)) result[key] = mergeValue(result[key], value, now);
+    else result[key] = resolveValue(value, now);
+  });
+  return result;
+};
+
+// update(): keys may be dotted field paths.
+const updateValue = (existing, updates, now) => {
+  const result = copyValue(existing);
+  Object.entries(updates).forEach(([fieldPath, value]) => {
+    const parts = fieldPath.split('.');
+    let parent = result;
+    parts.slice(0, -1).forEach((part) => {
+      if (!isMap(parent[part])) parent[part] = {};
+      parent = parent[part];
+    });
+    const last = parts[parts.length - 1];
+    const sentinel = resolveSentinel(value, parent[last], now);
+    if (sentinel && sentinel.remove) delete parent[last];
+    else if (sentinel) parent[last] = sentinel.value;
+    else parent[last] = resolveValue(value, now);
+  });
+  return result;
+};
+
+const getField = (data, fieldPath) => fieldPath.split('.').reduce(
+  (value, part) => (isMap(value) && Object.prototype.hasOwnProperty.call(value, part) ? value[part] : undefined),
+  data
+);
+
+// Firestore orders values of different types by type first.
+const typeRank = (value) => {
+  if (value === null) return 0;
+  if (typeof value === 'boolean') return 1;
+  if (typeof value === 'number') return 2;
+  if (value instanceof Timestamp) return 3;
+  if (typeof value === 'string') return 4;
+  if (Array.isArray(value)) return 5;
+  return 6;
+};
+
+const compareValues = (a, b) => {
+  const rankDifference = typeRank(a) - typeRank(b);
+  if (rankDifference) return rankDifference;
+  if (a === null) return 0;
+  if (a instanceof Timestamp) return a.toMillis() - b.toMillis();
+  if (typeof a === 'boolean' || typeof a === 'number') return Number(a) - Number(b);
+  if (typeof a === 'string') return a < b ? -1 : a > b ? 1 : 0;
+  if (Array.isArray(a)) {
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+      const difference = compareValues(a[i], b[i]);
+      if (difference) return difference;
+    }
+    return a.length - b.length;
+  }
+  const aKeys = Object.keys(a).sort();
+  const bKeys = Object.keys(b).sort();
+  for (let i = 0; i < Math.min(aKeys.length, bKeys.length); i++) {
+    if (aKeys[i] !== bKeys[i]) return aKeys[i] < bKeys[i] ? -1 : 1;
+    const difference = compareValues(a[aKeys[i]], b[bKeys[i]]);
+    if (difference) return difference;
+  }
+  return aKeys.length - bKeys.length;
+};
+
+const valuesEqual = (a, b) => typeRank(a) === typeRank(b) && compareValues(a, b) === 0;
+
+// JSON-file persistence. Timestamps become `{ "__timestamp": millis }`.
+const serialize = (value) => {
+  if (value instanceof Timestamp) return { __timestamp: value.toMillis() };
+  if (Array.isArray(value)) return value.map(serialize);
+  if (isMap(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, serialize(item)]));
+  return value;
+};
+
+const deserialize = (value) => {
+  if (Array.isArray(value)) return value.map(deserialize);
+  if (isMap(value)) {
+    if (typeof value.__timestamp === 'number' && Object.keys(value).length === 1) return Timestamp.fromMillis(value.__timestamp);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, deserialize(item)]));
+  }
+  return value;
+};
+
+module.exports = {
+  Timestamp,
+  firestoreError,
+  copyValue,
+  resolveValue,
+  mergeValue,
+  updateValue,
+  getField,
+  typeRank,
+  compareValues,
+  valuesEqual,
+  serialize,
+  deserialize
+};
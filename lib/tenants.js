@@ -0,0 +1,244 @@
+// --- Tenants ---
+// One deployment can serve several firms. Each firm is a document in
+// `tenants/{tenantId}`:
+//
+//   name, active
+//   branding:      { firmName, address, phone, email, website }
+//   memo:          { to, from }   (the memorandum header)
+//   notifications: { fallbackEmail, webhookUrls }
+//   webhookSecret: the key webhook payloads are signed with (encrypted; see
+//                  notifications/webhooks.js). Never sent to clients.
+//
+// Every tenant-owned document (staff_users, intake_logins, case_reports,
+// notification_deliveries, audit_log) carries a `tenantId`. The tenant is
+// resolved from the session: staff tokens carry it and intake sessions take
+// it from their credential, so clients never choose it.
+//
+// Documents written before tenants existed have no `tenantId` and belong to
+// the default tenant (`npm run backfill-tenants` stamps them so queries find
+// them). The default tenant also works without a `tenants` document, taking
+// its settings from the FIRM_*, NOTIFY_FALLBACK_EMAIL, WEBHOOK_URLS and
+// WEBHOOK_SECRET environment variables, so single-firm deployments need no
+// setup. Other tenants get their own webhook secret when they are created
+// or first add a webhook URL; admins can rotate it.
+
+const crypto = require('crypto');
+const { admin } = require('./firebase');
+const { getWebhookUrls, checkWebhookUrl } = require('./notifications/webhooks');
+const { encryptValue, decryptValue } = require('./fieldEncryption');
+
+const DEFAULT_TENANT_ID = process.env.DEFAULT_TENANT_ID || 'default';
+const TENANT_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const CACHE_TTL_MS = 60 * 1000;
+const MAX_WEBHOOK_URLS = 10;
+
+const BRANDING_FIELDS = ['firmName', 'address', 'phone', 'email', 'website'];
+const MEMO_FIELDS = ['to', 'from'];
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const tenantOf = (data) => (data && data.tenantId) || DEFAULT_TENANT_ID;
+
+const belongsToTenant = (data, tenantId) => tenantOf(data) === tenantId;
+
+const defaultSettings = (tenantId) => {
+  const isDefault = tenantId === DEFAULT_TENANT_ID;
+  return {
+    name: isDefault ? (process.env.FIRM_NAME || 'Default') : tenantId,
+    active: true,
+    branding: {
+      firmName: isDefault ? (process.env.FIRM_NAME || '') : '',
+      address: isDefault ? (process.env.FIRM_ADDRESS || '') : '',
+      phone: isDefault ? (process.env.FIRM_PHONE || '') : '',
+      email: isDefault ? (process.env.FIRM_EMAIL || '') : '',
+      website: isDefault ? (process.env.FIRM_WEBSITE || '') : ''
+    },
+    memo: { to: 'Supervising Attorney', from: 'Senior Paralegal' },
+    notifications: {
+      fallbackEmail: isDefault ? (process.env.NOTIFY_FALLBACK_EMAIL || null) : null,
+      webhookUrls: isDefault ? getWebhookUrls() : []
+    },
+    webhookSecret: isDefault ? (process.env.WEBHOOK_SECRET || null) : null
+  };
+};
+
+const generateWebhookSecret = () => `whsec_${crypto.randomBytes(32).toString('hex')}`;
+
+// Fills in anything the tenant document leaves unset.
+const toTenant = (id, data = {}) => {
+  const defaults = defaultSettings(id);
+  return {
+    id,
+    name: data.name || defaults.name,
+    active: data.active !== false,
+    branding: { ...defaults.branding, ...data.branding },
+    memo: { ...defaults.memo, ...data.memo },
+    notifications: { ...defaults.notifications, ...data.notifications },
+    webhookSecret: data.webhookSecret ? decryptValue(data.webhookSecret) : defaults.webhookSecret
+  };
+};
+
+// What the intake app may show before anyone has logged in.
+const toPublicBranding = (tenant) => ({ id: tenant.id, name: tenant.name, branding: tenant.branding });
+
+// What the firm's staff see: everything but the webhook secret.
+const toTenantSettings = ({ webhookSecret, ...tenant }) => ({ ...tenant, webhookSigning: Boolean(webhookSecret) });
+
+const cache = new Map();
+
+// Returns the tenant's settings, or null for an unknown tenant.
+const getTenant = async (db, tenantId) => {
+  const cached = cache.get(tenantId);
+  if (cached && cached.expiresAt > Date.now()) return cached.tenant;
+
+  const doc = await db.collection('tenants').doc(tenantId).get();
+  let tenant = null;
+  if (doc.exists) tenant = toTenant(doc.id, doc.data());
+  else if (tenantId === DEFAULT_TENANT_ID) tenant = toTenant(DEFAULT_TENANT_ID);
+
+  cache.set(tenantId, { tenant, expiresAt: Date.now() + CACHE_TTL_MS });
+  return tenant;
+};
+
+const pickStrings = (value, fields, label) => {
+  if (value === undefined) return { result: undefined };
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: `${label} must be an object.` };
+  const result = {};
+  for (const field of fields) {
+    if (value[field] === undefined) continue;
+    if (typeof value[field] !== 'string' || value[field].length > 200) {
+      return { error: `${label}.${field} must be text of at most 200 characters.` };
+    }
+    result[field] = value[field].trim();
+  }
+  return { result };
+};
+
+const validateNotifications = (value) => {
+  if (value === undefined) return { result: undefined };
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return { error: 'notifications must be an object.' };
+  const result = {};
+  if (value.fallbackEmail !== undefined) {
+    if (value.fallbackEmail !== null && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(value.fallbackEmail))) {
+      return { error: 'notifications.fallbackEmail must be an email address or null.' };
+    }
+    result.fallbackEmail = value.fallbackEmail;
+  }
+  if (value.webhookUrls !== undefined) {
+    const urls = value.webhookUrls;
+    if (!Array.isArray(urls) || urls.length > MAX_WEBHOOK_URLS || !urls.every(url => /^https?:\/\/\S+$/.test(String(url)))) {
+      return { error: `notifications.webhookUrls must be a list of up to ${MAX_WEBHOOK_URLS} http(s) URLs.` };
+    }
+    result.webhookUrls = urls;
+  }
+  return { result };
+};
+
+// Resolves new webhook URLs, which validateNotifications() can't do.
+const checkWebhookUrls = async (updates) => {
+  const urls = (updates.notifications && updates.notifications.webhookUrls) || [];
+  for (const url of urls) {
+    const error = await checkWebhookUrl(url);
+    if (error) throw httpError(400, error);
+  }
+};
+
+// Validates the settings an admin may change. Returns `{ error }` or
+// `{ updates }` with only the fields that were given.
+const validateTenantSettings = ({ name, branding, memo, notifications }) => {
+  const updates = {};
+  if (name !== undefined) {
+    if (typeof name !== 'string' || !name.trim() || name.length > 200) return { error: 'Name must be non-empty text.' };
+    updates.name = name.trim();
+  }
+  const checks = [
+    ['branding', pickStrings(branding, BRANDING_FIELDS, 'branding')],
+    ['memo', pickStrings(memo, MEMO_FIELDS, 'memo')],
+    ['notifications', validateNotifications(notifications)]
+  ];
+  for (const [key, { error, result }] of checks) {
+    if (error) return { error };
+    if (result) updates[key] = result;
+  }
+  if (updates.memo && Object.values(updates.memo).some(value => !value)) {
+    return { error: 'memo.to and memo.from cannot be empty.' };
+  }
+  return { updates };
+};
+
+const createTenant = async (db, { id, name, ...settings }) => {
+  if (!TENANT_ID_PATTERN.test(String(id || ''))) {
+    throw httpError(400, 'Tenant ids are 2-40 lowercase letters, digits or dashes.');
+  }
+  const { error, updates } = validateTenantSettings({ name, ...settings });
+  if (error) throw httpError(400, error);
+  if (!updates.name) throw httpError(400, 'Name is required.');
+  await checkWebhookUrls(updates);
+
+  try {
+    await db.collection('tenants').doc(id).create({
+      ...updates,
+      webhookSecret: encryptValue(generateWebhookSecret()),
+      active: true,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  } catch (createError) {
+    // gRPC code 6 is ALREADY_EXISTS.
+    if (createError.code === 6) throw httpError(409, 'A tenant with this id already exists.');
+    throw createError;
+  }
+  cache.delete(id);
+  return getTenant(db, id);
+};
+
+// Nested settings are merged field by field, so updating one branding line
+// leaves the others alone. Adding webhook URLs to a tenant without a
+// webhook secret creates one; the caller should show it to the admin.
+const updateTenant = async (db, id, settings) => {
+  const { error, updates } = validateTenantSettings(settings);
+  if (error) throw httpError(400, error);
+  if (!Object.keys(updates).length) throw httpError(400, 'Nothing to update.');
+  await checkWebhookUrls(updates);
+
+  const flattened = { updatedAt: admin.firestore.FieldValue.serverTimestamp() };
+  const current = await getTenant(db, id);
+  if (updates.notifications && (updates.notifications.webhookUrls || []).length && !(current && current.webhookSecret)) {
+    flattened.webhookSecret = encryptValue(generateWebhookSecret());
+  }
+  Object.entries(updates).forEach(([key, value]) => {
+    if (value && typeof value === 'object') {
+      Object.entries(value).forEach(([field, fieldValue]) => { flattened[`${key}.${field}`] = fieldValue; });
+    } else {
+      flattened[key] = value;
+    }
+  });
+
+  await db.collection('tenants').doc(id).set({}, { merge: true });
+  await db.collection('tenants').doc(id).update(flattened);
+  cache.delete(id);
+  return getTenant(db, id);
+};
+
+// Replaces the tenant's webhook secret. Returns the new secret, which is
+// only ever shown this once.
+const rotateWebhookSecret = async (db, id) => {
+  const secret = generateWebhookSecret();
+  await db.collection('tenants').doc(id).set({
+    webhookSecret: encryptValue(secret),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+  cache.delete(id);
+  return secret;
+};
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  tenantOf,
+  belongsToTenant,
+  toPublicBranding,
+  toTenantSettings,
+  getTenant,
+  createTenant,
+  updateTenant,
+  rotateWebhookSecret
+};
@@ -0,0 +1,48 @@
+// --- Signed session tokens ---
+// Compact HMAC-SHA256 tokens in the form `<payload>.<signature>`, both parts
+// base64url encoded. Used for staff sessions and intake sessions.
+
+const crypto = require('crypto');
+
+const getSecret = () => {
+  const secret = process.env.SESSION_SECRET;
+  if (!secret) throw new Error('SESSION_SECRET is not set.');
+  return secret;
+};
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+const signToken = (claims, ttlMs) => {
+  const now = Date.now();
+  const payload = { ...claims, iat: now, exp: now + ttlMs };
+  const encoded = Buffer.from(JSON.stringify(payload)).toString('base64url');
+  return `${encoded}.${sign(encoded)}`;
+};
+
+// Returns the token's claims, or null if it is malformed, forged or expired.
+const verifyToken = (token) => {
+  if (typeof token !== 'string') return null;
+  const [encoded, signature] = token.split('.');
+  if (!encoded || !signature) return null;
+
+  const expected = Buffer.from(sign(encoded));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(encoded, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!payload.exp || payload.exp <= Date.now()) return null;
+  return payload;
+};
+
+const getBearerToken = (req) => {
+  const header = req.get('Authorization') || '';
+  const [scheme, token] = header.split(' ');
+  return scheme === 'Bearer' && token ? token : null;
+};
+
+module.exports = { signToken, verifyToken, getBearerToken };
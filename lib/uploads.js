@@ -0,0 +1,176 @@
+// --- Intake uploads ---
+// Documents and evidence a client attaches to their intake. Metadata lives
+// in `intake_uploads`; the bytes go to the configured file storage under
+// `<caseId>/<uploadId>`.
+//
+//   caseId, reportId (set when the report is saved), originalName,
+//   contentType, size, sha256, storageKey, uploadedAt
+
+const crypto = require('crypto');
+const path = require('path');
+const multer = require('multer');
+const { admin } = require('./firebase');
+const { getCredentialStatus } = require('./intakeCredentials');
+
+const MAX_FILE_BYTES = Number(process.env.UPLOAD_MAX_BYTES) || 15 * 1024 * 1024;
+const MAX_FILES_PER_CASE = Number(process.env.UPLOAD_MAX_FILES) || 20;
+const MAX_FILES_PER_REQUEST = 5;
+
+// Allowed types, with the leading bytes we expect for binary formats so a
+// renamed executable can't pass as a PDF.
+const ALLOWED_TYPES = {
+  'application/pdf': { extensions: ['.pdf'], magic: [Buffer.from('%PDF')] },
+  'image/jpeg': { extensions: ['.jpg', '.jpeg'], magic: [Buffer.from([0xff, 0xd8, 0xff])] },
+  'image/png': { extensions: ['.png'], magic: [Buffer.from([0x89, 0x50, 0x4e, 0x47])] },
+  'image/heic': { extensions: ['.heic'], magic: null },
+  'application/msword': { extensions: ['.doc'], magic: [Buffer.from([0xd0, 0xcf, 0x11, 0xe0])] },
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': { extensions: ['.docx'], magic: [Buffer.from('PK')] },
+  'text/plain': { extensions: ['.txt'], magic: null }
+};
+
+const httpError = (status, message) => Object.assign(new Error(message), { status });
+
+const tooManyFiles = () => httpError(400, `You can attach at most ${MAX_FILES_PER_CASE} files.`);
+
+// Multer middleware that keeps files in memory and turns its errors into
+// JSON responses.
+const uploadMiddleware = () => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_FILE_BYTES, files: MAX_FILES_PER_REQUEST }
+  }).array('files', MAX_FILES_PER_REQUEST);
+
+  return (req, res, next) => upload(req, res, (error) => {
+    if (!error) return next();
+    const status = error.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+    const message = error.code === 'LIMIT_FILE_SIZE'
+      ? `Files must be smaller than ${Math.floor(MAX_FILE_BYTES / (1024 * 1024))} MB.`
+      : `Upload failed: ${error.message}`;
+    res.status(status).json({ success: false, error: message });
+  });
+};
+
+const validateFile = (file) => {
+  const type = ALLOWED_TYPES[file.mimetype];
+  const extension = path.extname(file.originalname || '').toLowerCase();
+  if (!type || !type.extensions.includes(extension)) {
+    return `"${file.originalname}" is not an accepted file type. Please upload PDF, Word, text or image files.`;
+  }
+  if (type.magic && !type.magic.some(signature => file.buffer.subarray(0, signature.length).equals(signature))) {
+    return `"${file.originalname}" does not look like a valid ${extension} file.`;
+  }
+  if (!file.size) return `"${file.originalname}" is empty.`;
+  return null;
+};
+
+const safeFileName = (name) => path.basename(String(name)).replace(/[^\w.\- ]/g, '_').slice(0, 200);
+
+const toUploadSummary = (doc) => {
+  const { storageKey, ...upload } = doc.data();
+  return { id: doc.id, ...upload };
+};
+
+const listUploads = async (db, caseId) => {
+  const snapshot = await db.collection('intake_uploads').where('caseId', '==', caseId).orderBy('uploadedAt').get();
+  return snapshot.docs.map(toUploadSummary);
+};
+
+// Validates every file before storing any, so a request either stores all
+// its files or none of them.
+//
+// The bytes are stored first; the metadata is then written in a transaction
+// that checks the case's credential is still active, counts the case's files
+// again and writes the case's login document, so concurrent uploads and
+// submissions for one case are serialized: files can't pass the limit
+// together or land after the report was saved. Files the transaction rejects
+// are deleted again.
+const storeUploads = async (db, fileStorage, caseId, files) => {
+  if (!files || !files.length) throw httpError(400, 'No files were uploaded.');
+  for (const file of files) {
+    const error = validateFile(file);
+    if (error) throw httpError(400, error);
+  }
+
+  // Only a fast path that saves storing files which would be rejected; the
+  // transaction below is what enforces the limit.
+  const uploadsQuery = db.collection('intake_uploads').where('caseId', '==', caseId);
+  const existing = await uploadsQuery.count().get();
+  if (existing.data().count + files.length > MAX_FILES_PER_CASE) throw tooManyFiles();
+
+  const stored = [];
+  try {
+    for (const file of files) {
+      const uploadRef = db.collection('intake_uploads').doc();
+      const storageKey = `${caseId}/${uploadRef.id}`;
+      await fileStorage.save(storageKey, file.buffer, { contentType: file.mimetype });
+      stored.push({
+        ref: uploadRef,
+        upload: {
+          caseId,
+          reportId: null,
+          originalName: safeFileName(file.originalname),
+          contentType: file.mimetype,
+          size: file.size,
+          sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+          storageKey,
+          uploadedAt: admin.firestore.Timestamp.now()
+        }
+      });
+    }
+
+    const loginRef = db.collection('intake_logins').doc(caseId);
+    await db.runTransaction(async (transaction) => {
+      const loginDoc = await transaction.get(loginRef);
+      if (!loginDoc.exists) throw httpError(404, 'Case not found.');
+      if (getCredentialStatus(loginDoc.data()) !== 'active') {
+        throw httpError(409, 'This intake has already been submitted or is no longer active.');
+      }
+      const current = await transaction.get(uploadsQuery);
+      if (current.size + stored.length > MAX_FILES_PER_CASE) throw tooManyFiles();
+      stored.forEach(({ ref, upload }) => transaction.set(ref, upload));
+      transaction.set(loginRef, { lastUploadAt: admin.firestore.FieldValue.serverTimestamp() }, { merge: true });
+    });
+  } catch (error) {
+    await Promise.all(stored.map(({ upload }) => fileStorage.delete(upload.storageKey)
+      .catch(deleteError => console.error(`Could not delete ${upload.storageKey}:`, deleteError))));
+    throw error;
+  }
+  return stored.map(({ ref, upload: { storageKey, ...upload } }) => ({ id: ref.id, ...upload }));
+};
+
+// Clients can remove their own files until the report is submitted.
+const deleteUpload = async (db, fileStorage, caseId, uploadId) => {
+  const uploadRef = db.collection('intake_uploads').doc(uploadId);
+  const uploadDoc = await uploadRef.get();
+  if (!uploadDoc.exists || uploadDoc.data().caseId !== caseId) throw httpError(404, 'File not found.');
+  if (uploadDoc.data().reportId) throw httpError(409, 'This file has already been submitted.');
+  await fileStorage.delete(uploadDoc.data().storageKey);
+  await uploadRef.delete();
+};
+
+// Used by the retention job when a case's data is removed.
+const deleteUploadsForCase = async (db, fileStorage, caseId) => {
+  const snapshot = await db.collection('intake_uploads').where('caseId', '==', caseId).get();
+  for (const doc of snapshot.docs) {
+    await fileStorage.delete(doc.data().storageKey);
+    await doc.ref.delete();
+  }
+  return snapshot.size;
+};
+
+// The attachment summary stored on the report.
+const toAttachment = (doc) => ({
+  id: doc.id,
+  originalName: doc.data().originalName,
+  contentType: doc.data().contentType,
+  size: doc.data().size
+});
+
+module.exports = {
+  uploadMiddleware,
+  listUploads,
+  storeUploads,
+  deleteUpload,
+  deleteUploadsForCase,
+  toAttachment
+};
@@ -0,0 +1,59 @@
+// --- Backfill derived fields on existing case reports ---
+// Reports saved before the search index and case workflow existed have no
+// `searchTokens`, `clientEmailNormalized`, `status`, `assignedTo` or
+// `deleted`, so they don't show up in filtered queries, no `parties` for
+// conflict checks, and no `anonymizedAt` for the retention job to find. Safe to run repeatedly. Encrypted reports are
+// decrypted in memory to rebuild the index; run `npm run encrypt-reports`
+// afterwards to encrypt any plaintext fields.
+//
+// Usage: npm run backfill-reports
+
+require('dotenv').config();
+const { createDatastore } = require('../lib/storage');
+const { buildSearchFields } = require('../lib/reportSearch');
+const { extractParties } = require('../lib/conflictCheck');
+const { encryptValue, decryptReportFields } = require('../lib/fieldEncryption');
+
+const BATCH_SIZE = 200;
+
+const backfillReport = (stored) => {
+  const data = decryptReportFields(stored);
+  return {
+    ...buildSearchFields(data),
+    status: data.status || 'new',
+    assignedTo: data.assignedTo || null,
+    deleted: Boolean(data.deleted),
+    anonymizedAt: stored.anonymizedAt || null,
+    parties: stored.parties || encryptValue(extractParties(data))
+  };
+};
+
+const run = async () => {
+  const db = createDatastore();
+  let lastDoc = null;
+  let updated = 0;
+
+  for (;;) {
+    let query = db.collection('case_reports').orderBy('__name__').limit(BATCH_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => batch.update(doc.ref, backfillReport(doc.data())));
+    await batch.commit();
+
+    updated += snapshot.size;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    console.log(`Backfilled ${updated} reports...`);
+  }
+
+  console.log(`Done. ${updated} reports updated.`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Backfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,51 @@
+// --- Assign existing data to the default tenant ---
+// Documents written before multi-tenancy have no `tenantId`. They already
+// count as the default tenant's when read one at a time, but Firestore
+// queries can't match a missing field, so this stamps them. Safe to run
+// repeatedly. Audit entries are left alone: changing them would break the
+// hash chain.
+//
+// Usage: npm run backfill-tenants
+
+require('dotenv').config();
+const { createDatastore } = require('../lib/storage');
+const { DEFAULT_TENANT_ID } = require('../lib/tenants');
+
+const COLLECTIONS = ['staff_users', 'intake_logins', 'case_reports', 'notification_deliveries'];
+const BATCH_SIZE = 200;
+
+const backfillCollection = async (db, name) => {
+  let lastDoc = null;
+  let updated = 0;
+
+  for (;;) {
+    let query = db.collection(name).orderBy('__name__').limit(BATCH_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    const missing = snapshot.docs.filter(doc => !doc.data().tenantId);
+    missing.forEach(doc => batch.update(doc.ref, { tenantId: DEFAULT_TENANT_ID }));
+    if (missing.length) await batch.commit();
+
+    updated += missing.length;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  console.log(`${name}: ${updated} documents assigned to "${DEFAULT_TENANT_ID}".`);
+};
+
+const run = async () => {
+  const db = createDatastore();
+  for (const name of COLLECTIONS) {
+    await backfillCollection(db, name);
+  }
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Backfill failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,34 @@
+// --- Create a staff user from the command line ---
+// Needed to bootstrap the first admin account, since the staff user routes
+// themselves require an admin session.
+//
+// Usage: npm run create-staff-user -- <email> <name> <role> <password> [tenantId]
+
+require('dotenv').config();
+const { createDatastore } = require('../lib/storage');
+const { ROLES, createStaffUser } = require('../lib/staffUsers');
+const { DEFAULT_TENANT_ID, getTenant } = require('../lib/tenants');
+
+const [email, name, role, password, tenantId = DEFAULT_TENANT_ID] = process.argv.slice(2);
+
+if (!email || !name || !role || !password) {
+  console.error('Usage: npm run create-staff-user -- <email> <name> <role> <password> [tenantId]');
+  console.error(`Roles: ${ROLES.join(', ')}`);
+  process.exit(1);
+}
+
+const run = async () => {
+  const db = createDatastore();
+  if (!(await getTenant(db, tenantId))) throw new Error(`Tenant "${tenantId}" does not exist.`);
+  return createStaffUser(db, { tenantId, email, name, role, password });
+};
+
+run()
+  .then((user) => {
+    console.log(`Created ${user.role} account for ${user.email} in tenant ${user.tenantId} (id: ${user.id}).`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Could not create staff user:', error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,29 @@
+// --- Create a tenant (firm) from the command line ---
+// New firms are set up by whoever runs the deployment; each firm's admins
+// then manage their own branding through PATCH /api/tenant. Create the
+// firm's first admin with `npm run create-staff-user` afterwards.
+//
+// Usage: npm run create-tenant -- <tenantId> <name>
+
+require('dotenv').config();
+const { createDatastore } = require('../lib/storage');
+const { createTenant } = require('../lib/tenants');
+
+const [id, ...nameParts] = process.argv.slice(2);
+const name = nameParts.join(' ');
+
+if (!id || !name) {
+  console.error('Usage: npm run create-tenant -- <tenantId> <name>');
+  process.exit(1);
+}
+
+createTenant(createDatastore(), { id, name, branding: { firmName: name } })
+  .then((tenant) => {
+    console.log(`Created tenant ${tenant.id} (${tenant.name}).`);
+    console.log(`Webhook signing secret (shown once; give it to the firm's webhook receivers): ${tenant.webhookSecret}`);
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Could not create tenant:', error.message);
+    process.exit(1);
+  });
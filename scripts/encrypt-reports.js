@@ -0,0 +1,101 @@
+// --- Encrypt existing case reports ---
+// Encrypts client PII on reports saved before field encryption was enabled,
+// and re-encrypts values wrapped with an old key after a key rotation. The
+// search index is rebuilt from the decrypted report so it uses the current
+// SEARCH_INDEX_KEY. The other records holding client PII (interviews,
+// drafts, invitations, case notes and history, notification payloads) are
+// handled the same way. Safe to run repeatedly.
+//
+// Usage: npm run encrypt-reports
+
+require('dotenv').config();
+const { createDatastore } = require('../lib/storage');
+const { buildSearchFields } = require('../lib/reportSearch');
+const { invitationContact } = require('../lib/intakeCredentials');
+const {
+  ENCRYPTED_REPORT_FIELDS,
+  encryptionEnabled,
+  needsEncryption,
+  encryptValue,
+  decryptValue,
+  decryptReportFields
+} = require('../lib/fieldEncryption');
+
+const BATCH_SIZE = 200;
+
+// The updates sealing `fields` of `stored` under the active key.
+const encryptFieldUpdates = (stored, fields) => {
+  const updates = {};
+  fields.forEach(field => {
+    if (needsEncryption(stored[field])) updates[field] = encryptValue(decryptValue(stored[field]));
+  });
+  return updates;
+};
+
+const encryptReport = (stored) => ({
+  ...buildSearchFields(decryptReportFields(stored)),
+  ...encryptFieldUpdates(stored, ENCRYPTED_REPORT_FIELDS)
+});
+
+const encryptInvitation = (stored) => {
+  const { invitation } = stored;
+  if (!invitation || (invitation.contact && !needsEncryption(invitation.contact))) return {};
+  const { clientName, email, phone, ...rest } = invitation;
+  return { invitation: { ...rest, contact: encryptValue(invitationContact(invitation)) } };
+};
+
+// Each collection (group) and the updates that encrypt one of its documents.
+const JOBS = [
+  { name: 'reports', query: db => db.collection('case_reports'), encrypt: encryptReport },
+  { name: 'case notes', query: db => db.collectionGroup('notes'), encrypt: stored => encryptFieldUpdates(stored, ['text']) },
+  { name: 'case history entries', query: db => db.collectionGroup('history'), encrypt: stored => encryptFieldUpdates(stored, ['note']) },
+  {
+    name: 'interviews',
+    query: db => db.collection('intake_interviews'),
+    encrypt: stored => encryptFieldUpdates(stored, ['client', 'initialStatement', 'transcript', 'currentQuestion', 'reportData'])
+  },
+  { name: 'drafts', query: db => db.collection('intake_drafts'), encrypt: stored => encryptFieldUpdates(stored, ['data']) },
+  { name: 'invitations', query: db => db.collection('intake_logins'), encrypt: encryptInvitation },
+  { name: 'notification payloads', query: db => db.collection('notification_deliveries'), encrypt: stored => encryptFieldUpdates(stored, ['payload']) }
+];
+
+const runJob = async (db, { name, query: baseQuery, encrypt }) => {
+  let lastDoc = null;
+  let processed = 0;
+
+  for (;;) {
+    let query = baseQuery(db).orderBy('__name__').limit(BATCH_SIZE);
+    if (lastDoc) query = query.startAfter(lastDoc);
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    const batch = db.batch();
+    snapshot.docs.forEach(doc => {
+      const updates = encrypt(doc.data());
+      if (Object.keys(updates).length) batch.update(doc.ref, updates);
+    });
+    await batch.commit();
+
+    processed += snapshot.size;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    console.log(`Encrypted ${processed} ${name}...`);
+  }
+
+  console.log(`Done. ${processed} ${name} processed.`);
+};
+
+const run = async () => {
+  if (!encryptionEnabled()) {
+    throw new Error('PII_ENCRYPTION_KEYS and PII_ENCRYPTION_KEY_ID must be set.');
+  }
+
+  const db = createDatastore();
+  for (const job of JOBS) await runJob(db, job);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error('Encryption failed:', error);
+    process.exit(1);
+  });
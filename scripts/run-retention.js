@@ -0,0 +1,25 @@
+// --- Run the retention policy once ---
+// Intended for cron or a scheduled job runner. See lib/retention.js for
+// the environment variables that configure the policy.
+//
+// Usage: npm run retention
+
+require('dotenv').config();
+const { createDatastore } = require('../lib/storage');
+const { getRetentionPolicy, runRetention } = require('../lib/retention');
+const { createAuditLog } = require('../lib/audit');
+const { createFileStorage } = require('../lib/fileStorage');
+
+const db = createDatastore();
+console.log('Running retention with policy:', getRetentionPolicy());
+
+runRetention(db, { fileStorage: createFileStorage() })
+  .then(async (result) => {
+    console.log('Retention finished:', result);
+    await createAuditLog(db).recordSystem('retention.run', { details: result });
+    process.exit(0);
+  })
+  .catch((error) => {
+    console.error('Retention failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,131 @@
+// --- Integration test helpers ---
+// Runs the API (lib/app.js) on an in-memory local datastore with the mock
+// LLM provider and field encryption turned on, listening on a free port,
+// and drives it over HTTP. Every call to startServer() gets fresh data;
+// `overrides` are passed on to createApp().
+//
+// Notifications and invitation messages are collected rather than sent, and
+// uploads go to a temporary directory that close() removes.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+process.env.SESSION_SECRET = 'integration-test-session-secret';
+process.env.LLM_PROVIDER = 'mock';
+process.env.PII_ENCRYPTION_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+process.env.PII_ENCRYPTION_KEY_ID = 'test';
+process.env.SEARCH_INDEX_KEY = crypto.randomBytes(32).toString('base64');
+process.env.RATE_LIMIT_LLM = 'off';
+process.env.RATE_LIMIT_INTAKE_LOGIN = 'off';
+
+const { createLocalDatastore } = require('../lib/storage/local');
+const { createLocalFileStorage } = require('../lib/fileStorage/local');
+const { createApp } = require('../lib/app');
+const { createInvitationSender } = require('../lib/invitations');
+const { createStaffUser } = require('../lib/staffUsers');
+const { createTenant } = require('../lib/tenants');
+
+const STAFF_PASSWORD = 'correct-horse-battery';
+
+const startServer = async (overrides = {}) => {
+  const db = createLocalDatastore();
+  const uploadDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'intake-test-'));
+  const fileStorage = createLocalFileStorage({ root: uploadDir });
+  const notified = [];
+  const notifier = {
+    notifyIntakeSubmitted: async (reportId) => { notified.push(reportId); },
+    retryDelivery: async () => false
+  };
+  const messages = [];
+  const invitations = createInvitationSender(db, {
+    mailer: { send: async (mail) => { messages.push({ channel: 'email', ...mail }); } },
+    sms: { send: async (sms) => { messages.push({ channel: 'sms', ...sms }); } }
+  });
+
+  const { app } = createApp(db, { fileStorage, notifier, invitations, ...overrides });
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // Returns `{ status, headers, body }`; JSON bodies are parsed, anything
+  // else is a Buffer. A FormData body is sent as multipart, anything else as
+  // JSON.
+  const request = async (method, url, { token, body } = {}) => {
+    const headers = {};
+    if (token) headers.Authorization = `Bearer ${token}`;
+    const isForm = body instanceof FormData;
+    if (body !== undefined && !isForm) headers['Content-Type'] = 'application/json';
+    const payload = body === undefined || isForm ? body : JSON.stringify(body);
+    const response = await fetch(baseUrl + url, { method, headers, body: payload });
+    const isJson = (response.headers.get('content-type') || '').includes('application/json');
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: isJson ? await response.json() : Buffer.from(await response.arrayBuffer())
+    };
+  };
+
+  const close = async () => {
+    await new Promise(resolve => server.close(resolve));
+    await fs.promises.rm(uploadDir, { recursive: true, force: true });
+  };
+
+  return { db, fileStorage, notified, messages, request, close };
+};
+
+// --- Fixtures ---
+
+const createFirm = (db, id, name) => createTenant(db, { id, name, branding: { firmName: name } });
+
+// Creates a staff user and logs them in. Returns `{ id, token }`.
+const loginStaff = async ({ db, request }, { email, role = 'admin', tenantId }) => {
+  const user = await createStaffUser(db, { tenantId, email, name: email.split('@')[0], role, password: STAFF_PASSWORD });
+  const { status, body } = await request('POST', '/api/internal-login', { body: { email, password: STAFF_PASSWORD } });
+  if (status !== 200) throw new Error(`Staff login failed with HTTP ${status}.`);
+  return { id: user.id, token: body.token };
+};
+
+// Creates a credential and exchanges it for an intake session. Returns
+// `{ caseId, passcode, token }`.
+const startIntakeSession = async ({ request }, staffToken) => {
+  const created = await request('POST', '/api/create-intake-credentials', { token: staffToken, body: {} });
+  if (created.status !== 200) throw new Error(`Creating credentials failed with HTTP ${created.status}.`);
+  const { caseId, passcode } = created.body;
+  const session = await request('POST', '/api/validate-intake-credentials', { body: { caseId, passcode } });
+  if (session.status !== 200) throw new Error(`Intake login failed with HTTP ${session.status}.`);
+  return { caseId, passcode, token: session.body.token };
+};
+
+// Runs a whole intake through to a saved report: the mock model asks three
+// questions. `saveBody` is sent to /api/save-report. Returns
+// `{ caseId, token, reportId }`.
+const submitIntake = async (server, staffToken, { clientName = 'Jane Roe', clientEmail = 'jane.roe@example.com', saveBody = {} } = {}) => {
+  const { request } = server;
+  const { caseId, token } = await startIntakeSession(server, staffToken);
+  await request('POST', '/api/intake/interview/start', {
+    token,
+    body: { clientName, clientEmail, initialStatement: 'I slipped on a wet floor at the grocery store.' }
+  });
+  for (const answer of ['Last Tuesday, at the Main Street store.', 'The store manager saw it.', 'I have photos.']) {
+    await request('POST', '/api/intake/interview/answer', { token, body: { answer } });
+  }
+  const formatted = await request('POST', '/api/format-report', { token, body: { formattedDateTime: 'October 19, 2026 10:00 AM' } });
+  if (formatted.status !== 200) throw new Error(`Formatting failed with HTTP ${formatted.status}.`);
+  const saved = await request('POST', '/api/save-report', { token, body: saveBody });
+  if (saved.status !== 200) throw new Error(`Saving failed with HTTP ${saved.status}.`);
+  return { caseId, token, reportId: saved.body.documentId };
+};
+
+// The conflict check and notifications run after the save has responded.
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for a condition.');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+module.exports = { startServer, createFirm, loginStaff, startIntakeSession, submitIntake, waitFor };
@@ -0,0 +1,211 @@
+// --- Intake flow ---
+// Staff and intake logins, credentials, the interview, and formatting and
+// saving the report.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { storeUploads } = require('../lib/uploads');
+const { startServer, loginStaff, startIntakeSession, submitIntake, waitFor } = require('./helpers');
+
+const textFile = (name, text) => {
+  const form = new FormData();
+  form.append('files', new Blob([text], { type: 'text/plain' }), name);
+  return form;
+};
+
+describe('intake flow', () => {
+  let server;
+  let staff;
+
+  before(async () => {
+    server = await startServer();
+    staff = await loginStaff(server, { email: 'admin@firm.test', tenantId: 'default' });
+  });
+  after(() => server.close());
+
+  describe('logins and credentials', () => {
+    it('refuses a wrong staff password', async () => {
+      const { status } = await server.request('POST', '/api/internal-login', { body: { email: 'admin@firm.test', password: 'wrong-password-123' } });
+      assert.equal(status, 401);
+    });
+
+    it('requires a staff session to create credentials', async () => {
+      const { status } = await server.request('POST', '/api/create-intake-credentials', { body: {} });
+      assert.equal(status, 401);
+    });
+
+    it('refuses a wrong passcode and accepts the right one', async () => {
+      const created = await server.request('POST', '/api/create-intake-credentials', { token: staff.token, body: {} });
+      assert.equal(created.status, 200);
+      const { caseId, passcode } = created.body;
+
+      const wrong = await server.request('POST', '/api/validate-intake-credentials', { body: { caseId, passcode: 'WRONG123' } });
+      assert.equal(wrong.status, 401);
+      const right = await server.request('POST', '/api/validate-intake-credentials', { body: { caseId, passcode } });
+      assert.equal(right.status, 200);
+      assert.ok(right.body.token);
+    });
+
+    it('refuses a revoked credential', async () => {
+      const created = await server.request('POST', '/api/create-intake-credentials', { token: staff.token, body: {} });
+      const { caseId, passcode } = created.body;
+      const revoked = await server.request('POST', `/api/intake-credentials/${caseId}/revoke`, { token: staff.token });
+      assert.equal(revoked.status, 200);
+
+      const { status } = await server.request('POST', '/api/validate-intake-credentials', { body: { caseId, passcode } });
+      assert.equal(status, 403);
+    });
+
+    it('lists credentials by status, a page at a time', async () => {
+      const active = await server.request('GET', '/api/intake-credentials?status=active', { token: staff.token });
+      assert.equal(active.status, 200);
+      assert.ok(active.body.credentials.every(credential => credential.status === 'active'));
+
+      const firstPage = await server.request('GET', '/api/intake-credentials?limit=1', { token: staff.token });
+      assert.equal(firstPage.body.credentials.length, 1);
+      const secondPage = await server.request('GET', `/api/intake-credentials?limit=1&cursor=${firstPage.body.nextCursor}`, { token: staff.token });
+      assert.equal(secondPage.body.credentials.length, 1);
+      assert.notEqual(secondPage.body.credentials[0].caseId, firstPage.body.credentials[0].caseId);
+    });
+  });
+
+  describe('interview', () => {
+    it('asks questions until the interview is complete', async () => {
+      const { token } = await startIntakeSession(server, staff.token);
+      const started = await server.request('POST', '/api/intake/interview/start', {
+        token,
+        body: { clientName: 'Sam Lee', clientEmail: 'sam@example.com', initialStatement: 'My landlord kept my deposit.' }
+      });
+      assert.equal(started.status, 200);
+      assert.equal(started.body.status, 'in_progress');
+      assert.equal(started.body.questionNumber, 1);
+
+      let state = started.body;
+      for (let i = 0; i < 3; i++) {
+        const answered = await server.request('POST', '/api/intake/interview/answer', { token, body: { answer: `Answer ${i + 1}` } });
+        assert.equal(answered.status, 200);
+        state = answered.body;
+      }
+      assert.equal(state.status, 'complete');
+      assert.equal(state.transcript.length, 3);
+
+      const again = await server.request('POST', '/api/intake/interview/answer', { token, body: { answer: 'One more' } });
+      assert.equal(again.status, 409);
+    });
+
+    it('keeps interview answers encrypted at rest', async () => {
+      const { caseId, token } = await startIntakeSession(server, staff.token);
+      await server.request('POST', '/api/intake/interview/start', {
+        token,
+        body: { clientName: 'Pat Quinn', clientEmail: 'pat@example.com', initialStatement: 'A contractor never finished my roof.' }
+      });
+      const stored = (await server.db.collection('intake_interviews').doc(caseId).get()).data();
+      assert.doesNotMatch(JSON.stringify(stored), /Pat Quinn|contractor/);
+    });
+  });
+
+  describe('uploads', () => {
+    it('stores, lists and removes a client file', async () => {
+      const { token } = await startIntakeSession(server, staff.token);
+      const uploaded = await server.request('POST', '/api/intake/uploads', { token, body: textFile('lease.txt', 'The lease.') });
+      assert.equal(uploaded.status, 201);
+      const [upload] = uploaded.body.uploads;
+      assert.equal(upload.originalName, 'lease.txt');
+
+      const { body: listed } = await server.request('GET', '/api/intake/uploads', { token });
+      assert.deepEqual(listed.uploads.map(item => item.id), [upload.id]);
+      const removed = await server.request('DELETE', `/api/intake/uploads/${upload.id}`, { token });
+      assert.equal(removed.status, 200);
+    });
+
+    it('refuses files of the wrong type', async () => {
+      const { token } = await startIntakeSession(server, staff.token);
+      const form = new FormData();
+      form.append('files', new Blob(['MZ'], { type: 'application/pdf' }), 'invoice.pdf');
+      const { status } = await server.request('POST', '/api/intake/uploads', { token, body: form });
+      assert.equal(status, 400);
+    });
+
+    it('attaches an upload racing the submission to the report, or refuses it', async () => {
+      const { caseId, token } = await startIntakeSession(server, staff.token);
+      await server.request('POST', '/api/intake/interview/start', {
+        token,
+        body: { clientName: 'Kim Park', clientEmail: 'kim@example.com', initialStatement: 'My employer withheld my wages.' }
+      });
+      for (const answer of ['In March.', 'My manager.', 'I have pay slips.']) {
+        await server.request('POST', '/api/intake/interview/answer', { token, body: { answer } });
+      }
+      await server.request('POST', '/api/format-report', { token, body: { formattedDateTime: 'October 19, 2026 10:00 AM' } });
+
+      const [uploaded, saved] = await Promise.all([
+        server.request('POST', '/api/intake/uploads', { token, body: textFile('payslip.txt', 'March pay slip.') }),
+        server.request('POST', '/api/save-report', { token, body: {} })
+      ]);
+      assert.equal(saved.status, 200);
+      const { body: report } = await server.request('GET', `/api/reports/${saved.body.documentId}`, { token: staff.token });
+      if (uploaded.status === 201) {
+        assert.deepEqual(report.attachments.map(item => item.id), [uploaded.body.uploads[0].id]);
+      } else {
+        assert.ok([401, 409].includes(uploaded.status));
+        assert.deepEqual(report.attachments, []);
+        const stored = await server.db.collection('intake_uploads').where('caseId', '==', caseId).get();
+        assert.equal(stored.size, 0);
+      }
+
+      // A request that got past the session check before the save
+      // committed is still refused by the upload transaction.
+      const file = { originalname: 'late.txt', mimetype: 'text/plain', size: 4, buffer: Buffer.from('late') };
+      await assert.rejects(storeUploads(server.db, server.fileStorage, caseId, [file]), { status: 409 });
+      const stored = await server.db.collection('intake_uploads').where('caseId', '==', caseId).get();
+      assert.equal(stored.size, uploaded.status === 201 ? 1 : 0);
+    });
+  });
+
+  describe('formatting and saving the report', () => {
+    it('will not format an unfinished interview', async () => {
+      const { token } = await startIntakeSession(server, staff.token);
+      const { status } = await server.request('POST', '/api/format-report', {
+        token,
+        body: { formattedDateTime: 'now', reportData: '{"clientName":"Someone Else"}' }
+      });
+      assert.equal(status, 409);
+    });
+
+    it('will not save a report that has not been formatted', async () => {
+      const { token } = await startIntakeSession(server, staff.token);
+      const { status } = await server.request('POST', '/api/save-report', {
+        token,
+        body: { clientName: 'Forged', clientEmail: 'forged@example.com', reportContent: 'Forged memo' }
+      });
+      assert.equal(status, 409);
+    });
+
+    it('saves the server-formatted report, runs the conflict check and notifies staff', async () => {
+      const { caseId, token, reportId } = await submitIntake(server, staff.token, { clientName: 'Jane Roe' });
+
+      const { status, body: report } = await server.request('GET', `/api/reports/${reportId}`, { token: staff.token });
+      assert.equal(status, 200);
+      assert.equal(report.caseNumber, caseId);
+      assert.equal(report.clientName, 'Jane Roe');
+      assert.match(report.reportContent, /^TO: /);
+      assert.ok(report.areasOfLaw.length);
+
+      await waitFor(async () => Boolean((await server.db.collection('case_reports').doc(reportId).get()).data().conflictCheck));
+      await waitFor(() => server.notified.includes(reportId));
+
+      const resubmitted = await server.request('POST', '/api/save-report', { token, body: {} });
+      assert.equal(resubmitted.status, 401);
+    });
+
+    it('ignores report content sent by the client', async () => {
+      const { reportId } = await submitIntake(server, staff.token, {
+        clientName: 'Ann Field',
+        saveBody: { clientName: 'Forged Name', clientEmail: 'forged@example.com', reportContent: 'Forged memo', structuredReport: { summary: 'Forged' } }
+      });
+      const { body: report } = await server.request('GET', `/api/reports/${reportId}`, { token: staff.token });
+      assert.equal(report.clientName, 'Ann Field');
+      assert.equal(report.clientEmail, 'jane.roe@example.com');
+      assert.doesNotMatch(JSON.stringify(report), /Forged/);
+    });
+  });
+});
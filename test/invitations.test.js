@@ -0,0 +1,91 @@
+// --- Invitations ---
+// Sending a client their intake passcode by email or SMS, and resending it.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createSmsSender } = require('../lib/notifications/sms');
+const { startServer, loginStaff } = require('./helpers');
+
+const passcodeIn = (text) => text.match(/passcode:? ([0-9A-F]{8})\b/i)[1];
+
+describe('invitations', () => {
+  let server;
+  let staff;
+
+  before(async () => {
+    server = await startServer();
+    staff = await loginStaff(server, { email: 'admin@firm.test', tenantId: 'default' });
+  });
+  after(() => server.close());
+
+  const invite = (body) => server.request('POST', '/api/intake-credentials/invite', { token: staff.token, body });
+
+  it('emails a passcode the client can log in with, and keeps it out of the response', async () => {
+    const { status, body } = await invite({ clientName: 'Eve Adams', email: 'eve@example.com', channel: 'email' });
+    assert.equal(status, 200);
+    assert.equal(body.invitation.status, 'sent');
+    assert.equal(body.passcode, undefined);
+
+    const message = server.messages.at(-1);
+    assert.equal(message.to, 'eve@example.com');
+    assert.match(message.text, /Dear Eve Adams/);
+    assert.match(message.text, /until you submit it/);
+    assert.doesNotMatch(message.text, /only be used once/);
+
+    const login = await server.request('POST', '/api/validate-intake-credentials', { body: { caseId: body.caseId, passcode: passcodeIn(message.text) } });
+    assert.equal(login.status, 200);
+  });
+
+  it('resends to the contact on file with a new passcode', async () => {
+    const { body: invited } = await invite({ clientName: 'Raj Patel', phone: '+15551234567', channel: 'sms' });
+    const first = passcodeIn(server.messages.at(-1).text);
+
+    const resent = await server.request('POST', `/api/intake-credentials/${invited.caseId}/resend-invitation`, { token: staff.token, body: {} });
+    assert.equal(resent.status, 200);
+    const message = server.messages.at(-1);
+    assert.equal(message.to, '+15551234567');
+    const second = passcodeIn(message.text);
+    assert.notEqual(second, first);
+
+    const stale = await server.request('POST', '/api/validate-intake-credentials', { body: { caseId: invited.caseId, passcode: first } });
+    assert.equal(stale.status, 401);
+    const fresh = await server.request('POST', '/api/validate-intake-credentials', { body: { caseId: invited.caseId, passcode: second } });
+    assert.equal(fresh.status, 200);
+  });
+
+  it('refuses invalid contact details', async () => {
+    const sent = server.messages.length;
+    const noEmail = await invite({ clientName: 'No Email', channel: 'email' });
+    assert.equal(noEmail.status, 400);
+    const badPhone = await invite({ clientName: 'Bad Phone', phone: '555-1234', channel: 'sms' });
+    assert.equal(badPhone.status, 400);
+    assert.equal(server.messages.length, sent);
+  });
+
+  describe('console SMS sender', () => {
+    const withEnv = (env, fn) => {
+      const saved = { SMS_PROVIDER: process.env.SMS_PROVIDER, NODE_ENV: process.env.NODE_ENV };
+      Object.assign(process.env, env);
+      try {
+        return fn();
+      } finally {
+        for (const [name, value] of Object.entries(saved)) {
+          if (value === undefined) delete process.env[name];
+          else process.env[name] = value;
+        }
+      }
+    };
+
+    it('masks the passcode in the log', async (t) => {
+      const logged = [];
+      t.mock.method(console, 'log', (line) => logged.push(line));
+      const sms = withEnv({ SMS_PROVIDER: 'console', NODE_ENV: 'development' }, () => createSmsSender());
+      await sms.send({ to: '+15551234567', text: 'Case ID CI-1, passcode AB12CD34.', redact: ['AB12CD34'] });
+      assert.deepEqual(logged, ['[sms to +15551234567] Case ID CI-1, passcode [redacted].']);
+    });
+
+    it('refuses to start in production', () => {
+      assert.throws(() => withEnv({ SMS_PROVIDER: 'console', NODE_ENV: 'production' }, () => createSmsSender()), /production/);
+    });
+  });
+});
@@ -0,0 +1,252 @@
+// --- Rate limiting ---
+// The Redis store's protocol handling, the store against a stand-in Redis
+// server, and what the API does when Redis goes away.
+
+const net = require('net');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { createRedisStore, encodeCommand, parseReply } = require('../lib/rateLimit/redisStore');
+const { startServer } = require('./helpers');
+
+// A minimal Redis stand-in on a free port. It answers AUTH, SELECT, EVAL
+// (the hit script, counting per key) and DEL. `silent` stops replies,
+// `chunked` sends them a byte at a time, and dropConnections() closes every
+// client socket.
+const startFakeRedis = async ({ password = null } = {}) => {
+  const fake = { counts: new Map(), commands: [], connections: 0, silent: false, chunked: false };
+  const sockets = new Set();
+
+  const reply = (args) => {
+    const [name, ...rest] = args;
+    switch (name) {
+      case 'AUTH':
+        return rest.at(-1) === password ? '+OK\r\n' : '-WRONGPASS invalid username-password pair\r\n';
+      case 'SELECT':
+        return '+OK\r\n';
+      case 'EVAL': {
+        const [, , key, windowMs] = rest;
+        const count = (fake.counts.get(key) || 0) + 1;
+        fake.counts.set(key, count);
+        return `*2\r\n:${count}\r\n:${windowMs}\r\n`;
+      }
+      case 'DEL':
+        fake.counts.delete(rest[0]);
+        return ':1\r\n';
+      default:
+        return `-ERR unknown command '${name}'\r\n`;
+    }
+  };
+
+  const write = async (socket, text) => {
+    if (!fake.chunked) return socket.write(text);
+    for (const byte of Buffer.from(text)) {
+      socket.write(Buffer.from([byte]));
+      await new Promise(resolve => setTimeout(resolve, 1));
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    fake.connections++;
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+    socket.on('error', () => {});
+    let buffer = Buffer.alloc(0);
+    let writing = Promise.resolve();
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      for (let request = parseReply(buffer, 0); request; request = parseReply(buffer, 0)) {
+        buffer = buffer.subarray(request.offset);
+        fake.commands.push(request.value);
+        if (!fake.silent) {
+          const text = reply(request.value);
+          writing = writing.then(() => write(socket, text));
+        }
+      }
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  fake.url = `redis://127.0.0.1:${server.address().port}`;
+  fake.dropConnections = () => sockets.forEach(socket => socket.destroy());
+  fake.close = () => {
+    fake.dropConnections();
+    return new Promise(resolve => server.close(resolve));
+  };
+  return fake;
+};
+
+// A URL nothing is listening on.
+const closedPortUrl = async () => {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return `redis://127.0.0.1:${port}`;
+};
+
+describe('rate limiting', () => {
+  describe('Redis protocol', () => {
+    it('encodes commands as arrays of bulk strings, counting bytes', () => {
+      assert.equal(encodeCommand(['DEL', 'clé']), '*2\r\n$3\r\nDEL\r\n$4\r\nclé\r\n');
+      assert.equal(encodeCommand(['EVAL', 'script', 1, 'key', 60000]), '*5\r\n$4\r\nEVAL\r\n$6\r\nscript\r\n$1\r\n1\r\n$3\r\nkey\r\n$5\r\n60000\r\n');
+    });
+
+    it('parses each reply type', () => {
+      const parse = (text) => parseReply(Buffer.from(text), 0).value;
+      assert.equal(parse('+OK\r\n'), 'OK');
+      assert.equal(parse(':42\r\n'), 42);
+      assert.equal(parse('$5\r\nhello\r\n'), 'hello');
+      assert.equal(parse('$-1\r\n'), null);
+      assert.equal(parse('*-1\r\n'), null);
+      assert.deepEqual(parse('*3\r\n:1\r\n$2\r\nab\r\n*1\r\n+x\r\n'), [1, 'ab', ['x']]);
+    });
+
+    it('turns error replies into Error values', () => {
+      const { value } = parseReply(Buffer.from('-NOAUTH Authentication required.\r\n'), 0);
+      assert.ok(value instanceof Error);
+      assert.equal(value.message, 'Redis error: NOAUTH Authentication required.');
+    });
+
+    it('waits for the rest of a partial frame', () => {
+      const frame = Buffer.from('*2\r\n:3\r\n$5\r\nhello\r\n');
+      for (let length = 0; length < frame.length; length++) {
+        assert.equal(parseReply(frame.subarray(0, length), 0), null, `first ${length} bytes`);
+      }
+      assert.deepEqual(parseReply(frame, 0), { value: [3, 'hello'], offset: frame.length });
+    });
+
+    it('parses consecutive replies from their offsets', () => {
+      const buffer = Buffer.from('+OK\r\n:7\r\n');
+      const first = parseReply(buffer, 0);
+      assert.deepEqual(parseReply(buffer, first.offset), { value: 7, offset: buffer.length });
+    });
+
+    it('rejects an unknown reply type', () => {
+      assert.throws(() => parseReply(Buffer.from('?what\r\n'), 0), /Unexpected Redis reply type/);
+    });
+  });
+
+  describe('Redis store', () => {
+    let fake;
+    let store;
+
+    before(async () => {
+      fake = await startFakeRedis({ password: 's3cret' });
+    });
+    after(() => fake.close());
+
+    const connect = (options) => {
+      store = createRedisStore({ url: fake.url.replace('redis://', 'redis://app:s3cret@'), ...options });
+      return store;
+    };
+    const closeStore = () => store && store.close();
+
+    it('counts hits per key in a window', async (t) => {
+      t.after(closeStore);
+      connect();
+      const first = await store.hit('login:1.2.3.4', 60000);
+      const second = await store.hit('login:1.2.3.4', 60000);
+      assert.equal(first.count, 1);
+      assert.equal(second.count, 2);
+      assert.ok(second.resetAt > Date.now() + 59000);
+      assert.equal(fake.counts.get('ratelimit:login:1.2.3.4'), 2);
+
+      await store.reset('login:1.2.3.4');
+      assert.equal(fake.counts.has('ratelimit:login:1.2.3.4'), false);
+    });
+
+    it('authenticates and selects the database from the URL first', async (t) => {
+      t.after(closeStore);
+      fake.commands.length = 0;
+      store = createRedisStore({ url: fake.url.replace('redis://', 'redis://app:s3cret@') + '/2' });
+      await store.hit('db', 1000);
+      assert.deepEqual(fake.commands.slice(0, 2), [['AUTH', 'app', 's3cret'], ['SELECT', '2']]);
+      assert.equal(fake.commands[2][0], 'EVAL');
+    });
+
+    it('rejects hits when AUTH is refused', async (t) => {
+      t.after(closeStore);
+      store = createRedisStore({ url: fake.url.replace('redis://', 'redis://app:wrong@') });
+      await assert.rejects(store.hit('auth', 1000), /Could not set up the Redis connection \(Redis error: WRONGPASS/);
+      await assert.rejects(store.hit('auth', 1000), /WRONGPASS/);
+    });
+
+    it('reads replies split across packets', async (t) => {
+      t.after(() => {
+        fake.chunked = false;
+        closeStore();
+      });
+      connect();
+      fake.chunked = true;
+      assert.equal((await store.hit('chunked', 1000)).count, 1);
+      assert.equal((await store.hit('chunked', 1000)).count, 2);
+    });
+
+    it('reconnects after the connection drops', async (t) => {
+      t.after(closeStore);
+      connect();
+      await store.hit('drop', 1000);
+      const connections = fake.connections;
+      fake.dropConnections();
+      await new Promise(resolve => setTimeout(resolve, 20));
+
+      assert.equal((await store.hit('drop', 1000)).count, 2);
+      assert.equal(fake.connections, connections + 1);
+    });
+
+    it('gives up on a command Redis does not answer, then reconnects', async (t) => {
+      t.after(() => {
+        fake.silent = false;
+        closeStore();
+      });
+      connect({ timeoutMs: 50 });
+      await store.hit('timeout', 1000);
+      fake.silent = true;
+      await assert.rejects(store.hit('timeout', 1000), /did not reply within 50ms/);
+
+      // The unanswered command was never counted.
+      fake.silent = false;
+      assert.equal((await store.hit('timeout', 1000)).count, 2);
+    });
+
+    it('rejects hits when nothing is listening', async () => {
+      const unreachable = createRedisStore({ url: await closedPortUrl() });
+      await assert.rejects(unreachable.hit('down', 1000), /ECONNREFUSED|connection closed/);
+    });
+  });
+
+  describe('API with the Redis store', () => {
+    let fake;
+    let server;
+
+    before(async () => {
+      fake = await startFakeRedis();
+      server = await startServer({ rateLimitStore: createRedisStore({ url: fake.url }) });
+    });
+    after(async () => {
+      await server.close();
+      await fake.close();
+    });
+
+    const staffLogin = (email) => server.request('POST', '/api/internal-login', { body: { email, password: 'not-the-password' } });
+
+    it('keeps the counters in Redis', async () => {
+      const first = await staffLogin('someone@firm.test');
+      const second = await staffLogin('someone@firm.test');
+      assert.equal(first.status, 401);
+      assert.equal(Number(first.headers.get('RateLimit-Remaining')) - Number(second.headers.get('RateLimit-Remaining')), 1);
+      assert.ok([...fake.counts.keys()].some(key => key.startsWith('ratelimit:staffLoginAccount:')));
+    });
+
+    it('fails open to per-instance limits when Redis goes away', async (t) => {
+      t.mock.method(console, 'error', () => {});
+      await fake.close();
+
+      const statuses = [];
+      for (let i = 0; i < 6; i++) statuses.push((await staffLogin('other@firm.test')).status);
+      assert.deepEqual(statuses, [401, 401, 401, 401, 401, 429]);
+      const { status } = await server.request('GET', '/api/reports');
+      assert.equal(status, 401);
+    });
+  });
+});
@@ -0,0 +1,29 @@
+// --- Structured report schema ---
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateStructuredReport } = require('../lib/reportSchema');
+
+const report = (keyFacts) => ({
+  clientInfo: { name: 'Jane Roe', email: 'jane@example.com', phone: null },
+  summary: 'A slip and fall.',
+  qa: [],
+  keyFacts,
+  legalIssues: [{ issue: 'Premises liability.', areasOfLaw: ['personal-injury'] }]
+});
+
+describe('structured report schema', () => {
+  it('accepts real dates and null', () => {
+    const errors = validateStructuredReport(report([
+      { fact: 'Fell.', date: '2024-02-29' },
+      { fact: 'Reported it.', date: null }
+    ]));
+    assert.deepEqual(errors, []);
+  });
+
+  it('rejects dates that are not real days', () => {
+    for (const date of ['2024-13-45', '2023-02-30', '2023-02-29', '2024-00-10', '24-01-01', '2024-1-5']) {
+      assert.deepEqual(validateStructuredReport(report([{ fact: 'Fell.', date }])), ['keyFacts[0].date must be YYYY-MM-DD or null.'], date);
+    }
+  });
+});
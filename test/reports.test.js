@@ -0,0 +1,121 @@
+// --- Reports ---
+// Searching submitted reports and exporting them.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, loginStaff, submitIntake } = require('./helpers');
+
+describe('reports', () => {
+  let server;
+  let staff;
+  let jane;
+  let omar;
+  let admin;
+
+  before(async () => {
+    server = await startServer();
+    staff = await loginStaff(server, { email: 'paralegal@firm.test', role: 'paralegal', tenantId: 'default' });
+    admin = await loginStaff(server, { email: 'admin@firm.test', tenantId: 'default' });
+    jane = await submitIntake(server, staff.token, { clientName: 'Jane Roe', clientEmail: 'jane.roe@example.com' });
+    omar = await submitIntake(server, staff.token, { clientName: 'Omar Haddad', clientEmail: 'omar@example.com' });
+  });
+  after(() => server.close());
+
+  const search = async (query) => {
+    const { status, body } = await server.request('GET', `/api/reports?${new URLSearchParams(query)}`, { token: staff.token });
+    assert.equal(status, 200);
+    return body.reports.map(report => report.id);
+  };
+
+  describe('search', () => {
+    it('lists every report, newest first', async () => {
+      assert.deepEqual(await search({}), [omar.reportId, jane.reportId]);
+    });
+
+    it('finds reports by client name prefix', async () => {
+      assert.deepEqual(await search({ clientName: 'jan ro' }), [jane.reportId]);
+      assert.deepEqual(await search({ clientName: 'hadd' }), [omar.reportId]);
+    });
+
+    it('finds reports by client email and case number', async () => {
+      assert.deepEqual(await search({ clientEmail: 'OMAR@example.com' }), [omar.reportId]);
+      assert.deepEqual(await search({ caseNumber: jane.caseId }), [jane.reportId]);
+    });
+
+    it('filters by area of law, alone or with search terms', async () => {
+      assert.deepEqual(await search({ areaOfLaw: 'other' }), [omar.reportId, jane.reportId]);
+      assert.deepEqual(await search({ areaOfLaw: 'employment' }), []);
+      assert.deepEqual(await search({ q: 'grocery store', areaOfLaw: 'other' }), [omar.reportId, jane.reportId]);
+      assert.deepEqual(await search({ q: 'grocery', areaOfLaw: 'employment' }), []);
+
+      const { status } = await server.request('GET', '/api/reports?areaOfLaw=astrology', { token: staff.token });
+      assert.equal(status, 400);
+    });
+
+    it('pages through results', async () => {
+      const { body: firstPage } = await server.request('GET', '/api/reports?limit=1', { token: staff.token });
+      assert.equal(firstPage.reports.length, 1);
+      assert.ok(firstPage.nextCursor);
+      const { body: secondPage } = await server.request('GET', `/api/reports?limit=1&cursor=${firstPage.nextCursor}`, { token: staff.token });
+      assert.deepEqual(secondPage.reports.map(report => report.id), [jane.reportId]);
+    });
+
+    it('rejects a cursor that is not a listed report', async () => {
+      const missing = await server.request('GET', '/api/reports?cursor=no-such-report', { token: staff.token });
+      assert.equal(missing.status, 400);
+      const deleted = await server.request('GET', `/api/reports/deleted?cursor=${jane.reportId}`, { token: admin.token });
+      assert.equal(deleted.status, 400);
+    });
+
+    it('keeps the search terms out of the audit log', async () => {
+      await search({ clientName: 'Haddad' });
+      const audit = await server.db.collection('audit_log').where('action', '==', 'report.list').get();
+      assert.ok(audit.size);
+      assert.doesNotMatch(JSON.stringify(audit.docs.map(doc => doc.data())), /Haddad/i);
+    });
+  });
+
+  describe('recycle bin', () => {
+    it('hides deleted reports from roles that cannot open the recycle bin', async () => {
+      const attorney = await loginStaff(server, { email: 'attorney@firm.test', role: 'attorney', tenantId: 'default' });
+      const { reportId } = await submitIntake(server, staff.token, { clientName: 'Del Case' });
+      const deleted = await server.request('DELETE', `/api/reports/${reportId}`, { token: attorney.token });
+      assert.equal(deleted.status, 200);
+
+      for (const path of ['', '/export', '/notes', '/history']) {
+        const hidden = await server.request('GET', `/api/reports/${reportId}${path}`, { token: staff.token });
+        assert.equal(hidden.status, 404, `paralegal ${path}`);
+        const shown = await server.request('GET', `/api/reports/${reportId}${path}`, { token: attorney.token });
+        assert.equal(shown.status, 200, `attorney ${path}`);
+      }
+
+      const restored = await server.request('POST', `/api/reports/${reportId}/restore`, { token: attorney.token });
+      assert.equal(restored.status, 200);
+      const { status } = await server.request('GET', `/api/reports/${reportId}`, { token: staff.token });
+      assert.equal(status, 200);
+    });
+  });
+
+  describe('export', () => {
+    it('exports a report as PDF', async () => {
+      const { status, headers, body } = await server.request('GET', `/api/reports/${jane.reportId}/export?format=pdf`, { token: staff.token });
+      assert.equal(status, 200);
+      assert.equal(headers.get('content-type'), 'application/pdf');
+      assert.equal(body.subarray(0, 4).toString(), '%PDF');
+    });
+
+    it('exports a report as Word', async () => {
+      const { status, headers, body } = await server.request('GET', `/api/reports/${jane.reportId}/export?format=docx`, { token: staff.token });
+      assert.equal(status, 200);
+      assert.match(headers.get('content-disposition'), /\.docx"$/);
+      assert.equal(body.subarray(0, 2).toString(), 'PK');
+    });
+
+    it('rejects unknown formats and reports', async () => {
+      const badFormat = await server.request('GET', `/api/reports/${jane.reportId}/export?format=exe`, { token: staff.token });
+      assert.equal(badFormat.status, 400);
+      const missing = await server.request('GET', '/api/reports/no-such-report/export', { token: staff.token });
+      assert.equal(missing.status, 404);
+    });
+  });
+});
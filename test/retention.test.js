@@ -0,0 +1,113 @@
+// --- Retention ---
+// The retention job (lib/retention.js) run against reports submitted
+// through the API, as if a year had passed.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { runRetention, scheduleRetention } = require('../lib/retention');
+const { startServer, loginStaff, startIntakeSession, submitIntake, waitFor } = require('./helpers');
+
+const YEAR_LATER = Date.now() + 365 * 24 * 60 * 60 * 1000;
+
+const policy = (overrides) => ({ reportDays: 30, intakeLoginDays: 30, recycleBinDays: 30, llmMetricsDays: null, action: 'anonymize', ...overrides });
+
+const docExists = async (db, collection, id) => (await db.collection(collection).doc(id).get()).exists;
+
+describe('retention', () => {
+  let server;
+  let staff;
+
+  before(async () => {
+    server = await startServer();
+    staff = await loginStaff(server, { email: 'admin@firm.test', tenantId: 'default' });
+  });
+  after(() => server.close());
+
+  it('anonymizes old reports and drops their notes and case data', async () => {
+    const { caseId, reportId } = await submitIntake(server, staff.token, { clientName: 'Rita Moreno' });
+    const noted = await server.request('PATCH', `/api/reports/${reportId}`, { token: staff.token, body: { status: 'under_review', note: 'Called Rita back.' } });
+    assert.equal(noted.status, 200);
+
+    const result = await runRetention(server.db, { fileStorage: server.fileStorage, policy: policy(), now: YEAR_LATER });
+    assert.ok(result.reportsProcessed >= 1);
+
+    const { body: report } = await server.request('GET', `/api/reports/${reportId}`, { token: staff.token });
+    assert.equal(report.clientName, '[redacted]');
+    assert.equal(report.reportContent, '[redacted]');
+    assert.equal(report.caseNumber, caseId);
+    assert.ok(report.anonymizedAt);
+
+    const { body: notes } = await server.request('GET', `/api/reports/${reportId}/notes`, { token: staff.token });
+    assert.deepEqual(notes.notes, []);
+    const { body: history } = await server.request('GET', `/api/reports/${reportId}/history`, { token: staff.token });
+    assert.ok(history.history.length);
+    assert.ok(history.history.every(entry => entry.note === null));
+
+    assert.equal(await docExists(server.db, 'intake_interviews', caseId), false);
+    assert.equal(await docExists(server.db, 'llm_usage', caseId), false);
+
+    const again = await runRetention(server.db, { fileStorage: server.fileStorage, policy: policy(), now: YEAR_LATER });
+    assert.equal(again.reportsProcessed, 0);
+  });
+
+  it('purges old reports outright when configured to', async () => {
+    const { caseId, reportId } = await submitIntake(server, staff.token, { clientName: 'Hal Jordan' });
+
+    await runRetention(server.db, { fileStorage: server.fileStorage, policy: policy({ action: 'purge' }), now: YEAR_LATER });
+
+    const { status } = await server.request('GET', `/api/reports/${reportId}`, { token: staff.token });
+    assert.equal(status, 404);
+    assert.equal(await docExists(server.db, 'intake_logins', caseId), false);
+  });
+
+  it("keeps an expired login's case data while its report is retained", async () => {
+    const { caseId } = await submitIntake(server, staff.token, { clientName: 'Lena Ortiz' });
+
+    await runRetention(server.db, { fileStorage: server.fileStorage, policy: policy({ reportDays: null }), now: YEAR_LATER });
+
+    assert.equal(await docExists(server.db, 'intake_interviews', caseId), true);
+    const login = (await server.db.collection('intake_logins').doc(caseId).get()).data();
+    assert.ok(login.anonymizedAt);
+    assert.equal(login.hashedPasscode, undefined);
+  });
+
+  it('deletes the case data of an abandoned intake', async () => {
+    const { caseId, token } = await startIntakeSession(server, staff.token);
+    await server.request('POST', '/api/intake/interview/start', {
+      token,
+      body: { clientName: 'Abandoned Client', clientEmail: 'gone@example.com', initialStatement: 'I changed my mind.' }
+    });
+    await server.request('PUT', '/api/intake/draft', { token, body: { data: { answer: 'half typed' } } });
+
+    const result = await runRetention(server.db, { fileStorage: server.fileStorage, policy: policy(), now: YEAR_LATER });
+    assert.ok(result.draftsDeleted >= 1);
+
+    assert.equal(await docExists(server.db, 'intake_interviews', caseId), false);
+    assert.equal(await docExists(server.db, 'intake_drafts', caseId), false);
+  });
+
+  it('empties the recycle bin after its retention period', async () => {
+    const { reportId } = await submitIntake(server, staff.token, { clientName: 'Bin Case' });
+    const deleted = await server.request('DELETE', `/api/reports/${reportId}`, { token: staff.token });
+    assert.equal(deleted.status, 200);
+
+    const result = await runRetention(server.db, { fileStorage: server.fileStorage, policy: policy({ reportDays: null }), now: YEAR_LATER });
+    assert.ok(result.recycleBinPurged >= 1);
+    assert.equal(await docExists(server.db, 'case_reports', reportId), false);
+  });
+
+  it('runs shortly after startup, then on the interval', async (t) => {
+    const runs = [];
+    const audit = { recordSystem: async (action, { details }) => { runs.push(details); } };
+    t.mock.timers.enable({ apis: ['setTimeout', 'setInterval'] });
+    process.env.RETENTION_JOB_INTERVAL_HOURS = '24';
+    t.after(() => { delete process.env.RETENTION_JOB_INTERVAL_HOURS; });
+    t.mock.method(console, 'log', () => {});
+
+    const timer = scheduleRetention(server.db, { audit, fileStorage: server.fileStorage });
+    t.after(() => clearInterval(timer));
+    t.mock.timers.tick(60 * 1000);
+    t.mock.timers.reset();
+    await waitFor(() => runs.length === 1);
+  });
+});
@@ -0,0 +1,65 @@
+// --- Staff accounts ---
+// Admins creating and updating their firm's staff accounts.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, loginStaff } = require('./helpers');
+
+const PASSWORD = 'a-long-enough-password';
+
+describe('staff accounts', () => {
+  let server;
+  let staff;
+
+  before(async () => {
+    server = await startServer();
+    staff = await loginStaff(server, { email: 'admin@firm.test', tenantId: 'default' });
+  });
+  after(() => server.close());
+
+  const createUser = (body) => server.request('POST', '/api/staff-users', { token: staff.token, body });
+
+  it('creates an account the new user can log in with', async () => {
+    const created = await createUser({ email: 'New.Hire@firm.test', name: 'New Hire', role: 'paralegal', password: PASSWORD });
+    assert.equal(created.status, 201);
+    assert.equal(created.body.user.email, 'new.hire@firm.test');
+    assert.equal(created.body.user.hashedPassword, undefined);
+
+    const login = await server.request('POST', '/api/internal-login', { body: { email: 'new.hire@firm.test', password: PASSWORD } });
+    assert.equal(login.status, 200);
+  });
+
+  it('refuses an email that is already taken, whatever its case', async () => {
+    const { status, body } = await createUser({ email: 'ADMIN@firm.test', name: 'Copy', role: 'admin', password: PASSWORD });
+    assert.equal(status, 409);
+    assert.equal(body.error, 'A staff user with this email already exists.');
+  });
+
+  it('creates only one of two concurrent accounts for the same email', async () => {
+    const body = { email: 'twice@firm.test', name: 'Twice', role: 'attorney', password: PASSWORD };
+    const statuses = (await Promise.all([createUser(body), createUser(body)])).map(response => response.status);
+    assert.deepEqual(statuses.sort(), [201, 409]);
+    const users = await server.db.collection('staff_users').where('email', '==', 'twice@firm.test').get();
+    assert.equal(users.size, 1);
+  });
+
+  it('refuses invalid account details', async () => {
+    const badRole = await createUser({ email: 'role@firm.test', name: 'Role', role: 'owner', password: PASSWORD });
+    assert.equal(badRole.status, 400);
+    const shortPassword = await createUser({ email: 'short@firm.test', name: 'Short', role: 'paralegal', password: 'short' });
+    assert.equal(shortPassword.status, 400);
+    assert.match(shortPassword.body.error, /at least 12 characters/);
+  });
+
+  it('validates updates and refuses unknown accounts', async () => {
+    const { body } = await createUser({ email: 'update@firm.test', name: 'Update', role: 'paralegal', password: PASSWORD });
+    const badRole = await server.request('PATCH', `/api/staff-users/${body.user.id}`, { token: staff.token, body: { role: 'owner' } });
+    assert.equal(badRole.status, 400);
+    const renamed = await server.request('PATCH', `/api/staff-users/${body.user.id}`, { token: staff.token, body: { name: 'Updated' } });
+    assert.equal(renamed.status, 200);
+    assert.equal(renamed.body.user.name, 'Updated');
+
+    const missing = await server.request('PATCH', '/api/staff-users/no-such-user', { token: staff.token, body: { name: 'Nobody' } });
+    assert.equal(missing.status, 404);
+  });
+});
@@ -0,0 +1,73 @@
+// --- Tenant isolation ---
+// Staff of one firm must never see or change another firm's intakes.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer, createFirm, loginStaff, submitIntake } = require('./helpers');
+
+describe('tenant isolation', () => {
+  let server;
+  let firmA;
+  let firmB;
+  let report;
+
+  before(async () => {
+    server = await startServer();
+    await createFirm(server.db, 'firm-a', 'Firm A');
+    await createFirm(server.db, 'firm-b', 'Firm B');
+    firmA = await loginStaff(server, { email: 'admin@firm-a.test', tenantId: 'firm-a' });
+    firmB = await loginStaff(server, { email: 'admin@firm-b.test', tenantId: 'firm-b' });
+    report = await submitIntake(server, firmA.token, { clientName: 'Nora Blake' });
+  });
+  after(() => server.close());
+
+  it("lists only the firm's own reports", async () => {
+    const { body: own } = await server.request('GET', '/api/reports', { token: firmA.token });
+    assert.deepEqual(own.reports.map(item => item.id), [report.reportId]);
+    const { body: other } = await server.request('GET', '/api/reports?clientName=nora', { token: firmB.token });
+    assert.deepEqual(other.reports, []);
+  });
+
+  it("treats another firm's report as missing", async () => {
+    for (const url of [`/api/reports/${report.reportId}`, `/api/reports/${report.reportId}/export`, `/api/reports/${report.reportId}/notes`]) {
+      const { status } = await server.request('GET', url, { token: firmB.token });
+      assert.equal(status, 404, url);
+    }
+    const patched = await server.request('PATCH', `/api/reports/${report.reportId}`, { token: firmB.token, body: { status: 'declined' } });
+    assert.equal(patched.status, 404);
+    const deleted = await server.request('DELETE', `/api/reports/${report.reportId}`, { token: firmB.token });
+    assert.equal(deleted.status, 404);
+  });
+
+  it("can't manage another firm's credentials", async () => {
+    const { body: list } = await server.request('GET', '/api/intake-credentials', { token: firmB.token });
+    assert.deepEqual(list.credentials, []);
+    const revoked = await server.request('POST', `/api/intake-credentials/${report.caseId}/revoke`, { token: firmB.token });
+    assert.equal(revoked.status, 404);
+    const cursor = await server.request('GET', `/api/intake-credentials?cursor=${report.caseId}`, { token: firmB.token });
+    assert.equal(cursor.status, 400);
+  });
+
+  it("rejects another firm's report as a list cursor", async () => {
+    const { status } = await server.request('GET', `/api/reports?cursor=${report.reportId}`, { token: firmB.token });
+    assert.equal(status, 400);
+  });
+
+  it('keeps a separate audit log and chain for each firm', async () => {
+    const { body: log } = await server.request('GET', '/api/audit-log', { token: firmB.token });
+    assert.ok(log.entries.length);
+    assert.ok(log.entries.every(entry => entry.tenantId === 'firm-b'));
+
+    for (const staff of [firmA, firmB]) {
+      const { status, body } = await server.request('GET', '/api/audit-log/verify', { token: staff.token });
+      assert.equal(status, 200);
+      assert.equal(body.valid, true);
+    }
+  });
+
+  it("doesn't count one firm's intakes in another's metrics", async () => {
+    const { body: metrics } = await server.request('GET', '/api/metrics', { token: firmB.token });
+    assert.equal(metrics.intakes.total, 0);
+    assert.equal(metrics.credentials.created, 0);
+  });
+});